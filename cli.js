@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// SkyZero command line: analyze a position, or let the engine play it out, without a browser.
+//
+//   node cli.js c4 4453                  visit counts and value for the position after 4 4 5 3
+//   node cli.js ttt "4 0" --sims 200     Tic-Tac-Toe moves are cell indices 0-8
+//   node cli.js gomoku "ee fe" --rule renju --symmetry all
+//   node cli.js c4 44 --play             the engine plays both sides until the game ends
+//   node cli.js gomoku --evaluator heuristic   no model needed (also the fallback when it is missing)
+//
+// Moves use the record notation of each game (see engine/games.js): TTT cell indices,
+// Connect 4 column digits, Gomoku SGF points ("aa" = top-left).
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import * as ort from 'onnxruntime-web';
+import { GAME_REGISTRY, getGameSpec, createGame, MCTS, chooseAction, createOnnxEvaluator, checkModelShape, MODEL_FREE_EVALUATORS, createCachedEvaluator, createExactSolver } from './engine/index.js';
+
+const USAGE = `Usage: node cli.js <${GAME_REGISTRY.map(s => s.id).join('|')}> [moves] [options]
+
+Options:
+  --play             play the game out from the position (engine vs engine)
+  --sims <n>         simulations per search (default 800)
+  --cpuct <x>        exploration constant (default 1.4)
+  --batch <n>        leaves per network call (default 8)
+  --symmetry <mode>  none | random | all (default none)
+  --rule <name>      rule set for games that have variants, e.g. gomoku: freestyle | standard | renju
+  --model <path>     ONNX model (default: the game's model next to cli.js)
+  --evaluator <name> network | heuristic | rollout (default network; falls back
+                     to heuristic, with a warning, when the model cannot be loaded)
+  --no-solver        do not use the exact endgame solver (Tic-Tac-Toe, Connect 4)
+  --json             print JSON instead of a table
+  --help             show this message`;
+
+function parseArgs(argv) {
+    const opts = { sims: 800, cpuct: 1.4, batch: 8, symmetry: 'none', rule: null, play: false, json: false, model: null, evaluator: 'network', solver: true };
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--play': opts.play = true; break;
+            case '--json': opts.json = true; break;
+            case '--no-solver': opts.solver = false; break;
+            case '--sims': opts.sims = Number(value()); break;
+            case '--cpuct': opts.cpuct = Number(value()); break;
+            case '--batch': opts.batch = Number(value()); break;
+            case '--symmetry': opts.symmetry = value(); break;
+            case '--model': opts.model = value(); break;
+            case '--rule': opts.rule = value(); break;
+            case '--evaluator': opts.evaluator = value(); break;
+            case '--help': case '-h': opts.help = true; break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+                positional.push(arg);
+        }
+    }
+    if (!(opts.sims >= 1)) throw new Error("--sims must be a positive number");
+    if (!['none', 'random', 'all'].includes(opts.symmetry)) throw new Error(`Unknown symmetry mode: ${opts.symmetry}`);
+    if (opts.evaluator !== 'network' && !(opts.evaluator in MODEL_FREE_EVALUATORS)) throw new Error(`Unknown evaluator: ${opts.evaluator}`);
+    [opts.gameType, opts.moves = ''] = positional;
+    return opts;
+}
+
+const sideName = (toPlay) => toPlay === 1 ? 'Black' : 'White';
+
+// A proof (engine/mcts.js) as text; N counts the winner's moves
+const provenText = ({ result, plies }) => result === 0 ? 'Draw' : `${result > 0 ? 'Win' : 'Loss'} in ${Math.ceil(plies / 2)}`;
+
+// Root statistics (MCTS.rootStats) with moves in record notation; Q is for the side to move
+function rootStats(game, mcts, root) {
+    const total = root.children.reduce((sum, child) => sum + child.n, 0) || 1;
+    return mcts.rootStats(root).map(s => ({
+        move: game.formatMove(s.action),
+        label: game.moveLabel(s.action),
+        visits: s.visits,
+        share: s.visits / total,
+        q: s.q,
+        prior: s.prior,
+        u: s.u,
+        pv: s.pv.map(a => game.moveLabel(a)),
+        proven: s.proven,
+    }));
+}
+
+function printAnalysis(game, mcts, result, toPlay) {
+    const value = result.winRate * 2 - 1;
+    const signed = (x) => `${x >= 0 ? '+' : ''}${x.toFixed(3)}`;
+    const raw = result.rawWinRate === null ? '' : ` · raw evaluator value ${signed(result.rawWinRate * 2 - 1)}`;
+    const outlook = result.proven ? provenText(result.proven) : `value ${signed(value)} · win rate ${(result.winRate * 100).toFixed(1)}%`;
+    console.log(`${sideName(toPlay)} to move · ${outlook}${raw}`);
+    console.log('');
+    console.log('Move      Visits   Share           Q   Prior       U   PV');
+    for (const s of rootStats(game, mcts, result.root)) {
+        const move = s.label === s.move ? s.move : `${s.label} (${s.move})`;
+        const q = s.proven ? provenText(s.proven) : s.q.toFixed(3);
+        console.log(`${move.padEnd(8)} ${String(s.visits).padStart(7)} ${(s.share * 100).toFixed(1).padStart(6)}% ${q.padStart(11)} ${(s.prior * 100).toFixed(1).padStart(6)}% ${s.u.toFixed(3).padStart(7)}   ${s.pv.join(' ')}`);
+    }
+}
+
+async function loadEvaluator(game, spec, opts) {
+    if (opts.evaluator !== 'network') return MODEL_FREE_EVALUATORS[opts.evaluator](game, spec);
+    const modelPath = opts.model || fileURLToPath(new URL(spec.modelUrl, import.meta.url));
+    try {
+        const model = await readFile(modelPath);
+        checkModelShape(model, spec);
+        const session = await ort.InferenceSession.create(model, { executionProviders: ['wasm'] });
+        return createOnnxEvaluator(ort, session, game);
+    } catch (err) {
+        // An explicitly given model is expected to work
+        if (opts.model) throw err;
+        console.error(`Warning: degraded mode, using the heuristic evaluator (${err.message})`);
+        return MODEL_FREE_EVALUATORS.heuristic(game, spec);
+    }
+}
+
+async function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    if (opts.help || !opts.gameType) {
+        console.log(USAGE);
+        return;
+    }
+    const spec = getGameSpec(opts.gameType);
+    if (opts.rule && !(spec.ruleSets && opts.rule in spec.ruleSets)) {
+        throw new Error(`Unknown rule set for ${opts.gameType}: ${opts.rule}`);
+    }
+    const game = createGame(opts.gameType, opts.rule ? { rule: opts.rule } : {});
+
+    const moves = game.parseMoveList(opts.moves);
+    let { state, toPlay } = game.replay(moves);
+
+    const mcts = new MCTS(game, createCachedEvaluator(game, await loadEvaluator(game, spec, opts)), {
+        numSimulations: opts.sims,
+        c_puct: opts.cpuct,
+        batchSize: opts.batch,
+        symmetry: opts.symmetry,
+    }, opts.solver && spec.solver ? createExactSolver(game, spec.solver) : null);
+
+    if (!opts.play) {
+        if (game.checkWin(state) !== null) throw new Error("The game is already over in this position");
+        const result = await mcts.search(state, toPlay);
+        if (opts.json) {
+            console.log(JSON.stringify({
+                game: opts.gameType,
+                moves: moves.map(a => game.formatMove(a)),
+                toPlay: sideName(toPlay),
+                value: result.winRate * 2 - 1,
+                winRate: result.winRate,
+                rawValue: result.rawWinRate === null ? null : result.rawWinRate * 2 - 1,
+                proven: result.proven,
+                simulations: result.totalCounts,
+                children: rootStats(game, mcts, result.root),
+            }, null, 2));
+        } else {
+            printAnalysis(game, mcts, result, toPlay);
+        }
+        return;
+    }
+
+    // Self-play from the position, keeping the tree between moves like the page does
+    const played = [];
+    while (game.checkWin(state) === null) {
+        const result = await mcts.search(state, toPlay);
+        const action = chooseAction(result.actionCounts, game.getValidMoves(state), {}, result.proven);
+        played.push({ move: game.formatMove(action), label: game.moveLabel(action), side: sideName(toPlay), winRate: result.winRate, proven: result.proven });
+        if (!opts.json) {
+            const outlook = result.proven ? provenText(result.proven) : `win rate ${(result.winRate * 100).toFixed(1)}%`;
+            console.log(`${String(moves.length + played.length).padStart(3)}. ${sideName(toPlay).padEnd(5)} ${game.moveLabel(action).padEnd(4)} ${outlook}`);
+        }
+        state = game.getNextState(state, action, toPlay);
+        toPlay = -toPlay;
+        mcts.advance(action);
+    }
+
+    const winner = game.checkWin(state);
+    const outcome = winner === 0 ? 'Draw' : `${sideName(winner)} wins`;
+    const all = [...moves.map(a => game.formatMove(a)), ...played.map(p => p.move)];
+    if (opts.json) {
+        console.log(JSON.stringify({ game: opts.gameType, moves: all, played, result: outcome }, null, 2));
+    } else {
+        console.log(`\n${outcome}. Moves: ${all.join(opts.gameType === 'c4' ? '' : ' ')}`);
+    }
+}
+
+main().catch(err => {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+});
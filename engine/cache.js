@@ -0,0 +1,80 @@
+// SkyZero engine: evaluation cache. Wraps any evaluator (see mcts.js) so that a position seen
+// before, in this search or an earlier one, costs a Map lookup instead of a network call.
+// Positions are keyed by game.hashState (Zobrist over all history planes + side to move).
+
+// ==========================================
+// LRU map
+// ==========================================
+
+// Map insertion order doubles as recency: a hit is moved to the end, the oldest entry evicted
+export class LRUCache {
+    constructor(limit) {
+        this.limit = limit;
+        this.map = new Map();
+    }
+
+    get size() { return this.map.size; }
+
+    get(key) {
+        const value = this.map.get(key);
+        if (value === undefined) return undefined;
+        this.map.delete(key);
+        this.map.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        this.map.delete(key);
+        this.map.set(key, value);
+        if (this.map.size > this.limit) this.map.delete(this.map.keys().next().value);
+    }
+
+    clear() { this.map.clear(); }
+}
+
+// ==========================================
+// Cached evaluator
+// ==========================================
+
+// Returns evaluate(batch, args) plus
+//   .cache   the LRUCache of { policy, value } by key (prefill it, e.g. from an opening book)
+//   .stats   { hits, lookups } since creation
+//   .keyOf(state, toPlay, args)
+// `onMiss(key, item, output)` sees every fresh evaluation (e.g. to persist it).
+// The symmetry mode is part of the key: averaged and single-view outputs differ.
+export function createCachedEvaluator(game, evaluate, { size = 50000, onMiss = null } = {}) {
+    const cache = new LRUCache(size);
+    const stats = { hits: 0, lookups: 0 };
+    const keyOf = (state, toPlay, args = {}) => `${args.symmetry || 'none'}:${game.hashState(state, toPlay)}`;
+
+    async function cachedEvaluate(batch, args = {}) {
+        const keys = batch.map(({ state, toPlay }) => keyOf(state, toPlay, args));
+        const outputs = keys.map(key => cache.get(key));
+
+        // Misses go to the evaluator in one batch; a position twice in the batch is evaluated once
+        const pending = new Map(); // key -> index into `missing`
+        const missing = [];
+        keys.forEach((key, i) => {
+            stats.lookups++;
+            if (outputs[i]) stats.hits++;
+            else if (!pending.has(key)) {
+                pending.set(key, missing.length);
+                missing.push(batch[i]);
+            }
+        });
+
+        if (missing.length > 0) {
+            const fresh = await evaluate(missing, args);
+            for (const [key, j] of pending) {
+                cache.set(key, fresh[j]);
+                if (onMiss) onMiss(key, missing[j], fresh[j]);
+            }
+            keys.forEach((key, i) => {
+                if (!outputs[i]) outputs[i] = fresh[pending.get(key)];
+            });
+        }
+        return outputs;
+    }
+
+    return Object.assign(cachedEvaluate, { cache, stats, keyOf });
+}
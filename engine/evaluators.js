@@ -0,0 +1,215 @@
+// SkyZero engine: model-free evaluators for MCTS, used when no ONNX model is available.
+// Same interface as createOnnxEvaluator: evaluate(batch, args) -> Promise<[{ policy, value }]>,
+// policy as logits over the action space, value in [-1, 1] for the side to move.
+//
+//   rollout    uniform prior; value = average result of random playouts
+//   heuristic  hand-written per game (registry `heuristic`):
+//                windows - open windows of `winLength` cells (Connect 4, Tic-Tac-Toe)
+//                threats - threat counting (Gomoku): winning points, double threats, open lines
+
+// ==========================================
+// Random rollouts
+// ==========================================
+
+export function createRolloutEvaluator(game, { rollouts = 2 } = {}) {
+    const playout = (state, toPlay) => {
+        let player = toPlay;
+        let winner = game.checkWin(state);
+        while (winner === null) {
+            const moves = game.getValidMoves(state);
+            state = game.getNextState(state, moves[Math.floor(Math.random() * moves.length)], player);
+            player = -player;
+            winner = game.checkWin(state);
+        }
+        return winner === 0 ? 0 : (winner === toPlay ? 1 : -1);
+    };
+
+    return async function evaluate(batch) {
+        return batch.map(({ state, toPlay }) => {
+            let total = 0;
+            for (let i = 0; i < rollouts; i++) total += playout(state, toPlay);
+            return { policy: new Float32Array(game.actionSpace), value: total / rollouts };
+        });
+    };
+}
+
+// ==========================================
+// Line windows (shared by the heuristics)
+// ==========================================
+
+const windowCache = new Map();
+
+// Every run of `length` consecutive cells (rows, columns, both diagonals), plus for each cell
+// the windows that contain it. Cached per geometry.
+function lineWindows(rows, cols, length) {
+    const key = `${rows}x${cols}/${length}`;
+    if (windowCache.has(key)) return windowCache.get(key);
+
+    const windows = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            for (const [dr, dc] of [[0, 1], [1, 0], [1, 1], [1, -1]]) {
+                const er = r + dr * (length - 1), ec = c + dc * (length - 1);
+                if (er < 0 || er >= rows || ec < 0 || ec >= cols) continue;
+                windows.push(Array.from({ length }, (_, k) => (r + dr * k) * cols + (c + dc * k)));
+            }
+        }
+    }
+    const byCell = Array.from({ length: rows * cols }, () => []);
+    windows.forEach((w, i) => w.forEach(cell => byCell[cell].push(i)));
+    const result = { windows, byCell };
+    windowCache.set(key, result);
+    return result;
+}
+
+// Stones of each colour in every window: counts[i] = [black, white]
+function windowCounts(board, windows) {
+    return windows.map(w => {
+        let black = 0, white = 0;
+        for (const cell of w) {
+            if (board[cell] === 1) black++;
+            else if (board[cell] === -1) white++;
+        }
+        return [black, white];
+    });
+}
+
+const own = (count, p) => p === 1 ? count[0] : count[1];
+const opp = (count, p) => p === 1 ? count[1] : count[0];
+
+// Board cell an action fills: the cell itself, or the lowest empty cell of a column (drop games)
+function actionCell(game, board, action) {
+    if (game.actionSpace === game.rows * game.cols) return action;
+    for (let r = game.rows - 1; r >= 0; r--) {
+        if (board[r * game.cols + action] === 0) return r * game.cols + action;
+    }
+    return -1;
+}
+
+// Worth of a window holding n stones of one colour and none of the other
+const windowWeight = (n) => n === 0 ? 0 : Math.pow(4, n - 1);
+
+// Material-style score of the whole board for p: own open windows minus the opponent's
+function windowScore(counts, p) {
+    let score = 0;
+    for (const count of counts) {
+        const mine = own(count, p), theirs = opp(count, p);
+        if (mine && theirs) continue;
+        score += windowWeight(mine) - windowWeight(theirs);
+    }
+    return score;
+}
+
+// Would p filling `cell` complete a window (a win)?
+function completesWindow(cell, p, counts, byCell, length) {
+    return byCell[cell].some(i => own(counts[i], p) === length - 1 && opp(counts[i], p) === 0);
+}
+
+// How much filling `cell` helps p (new / extended windows) and hurts the opponent (windows it breaks)
+function cellScore(cell, p, counts, byCell) {
+    let attack = 0, defence = 0;
+    for (const i of byCell[cell]) {
+        const mine = own(counts[i], p), theirs = opp(counts[i], p);
+        if (theirs === 0) attack += windowWeight(mine + 1);
+        if (mine === 0) defence += windowWeight(theirs + 1);
+    }
+    return { attack, defence };
+}
+
+// ==========================================
+// Heuristics
+// ==========================================
+
+// Connect 4 / Tic-Tac-Toe: open windows. Also knows the Connect 4 trap of filling the cell
+// right below one the opponent needs.
+function windowsHeuristic(game, state, toPlay, length) {
+    const board = game._getBoard(state, game.historyStep - 1);
+    const { windows, byCell } = lineWindows(game.rows, game.cols, length);
+    const counts = windowCounts(board, windows);
+    const legal = game.getValidMoves(state);
+    const drop = game.actionSpace !== game.rows * game.cols;
+    const policy = new Float32Array(game.actionSpace);
+
+    let canWin = false, threatsAgainst = 0;
+    for (const action of legal) {
+        const cell = actionCell(game, board, action);
+        const { attack, defence } = cellScore(cell, toPlay, counts, byCell);
+        let score = attack + 0.8 * defence;
+        if (completesWindow(cell, toPlay, counts, byCell, length)) {
+            score += 1000;
+            canWin = true;
+        } else if (completesWindow(cell, -toPlay, counts, byCell, length)) {
+            score += 500; // Must block
+            threatsAgainst++;
+        } else if (drop && cell >= game.cols && completesWindow(cell - game.cols, -toPlay, counts, byCell, length)) {
+            score -= 200; // Would let the opponent drop onto its winning cell
+        }
+        policy[action] = Math.log1p(Math.max(0, score));
+    }
+
+    let value;
+    if (canWin) value = 0.95;
+    else if (threatsAgainst >= 2) value = -0.9; // Cannot block both
+    else value = Math.tanh(windowScore(counts, toPlay) / windowWeight(length - 1) / 2);
+    return { policy, value };
+}
+
+// Gomoku: threat counting. Fours (one move from five) and threes (two moves, still open) are counted
+// for both sides; the side to move wins with any four, loses against two, and otherwise the
+// threat balance and the open windows decide.
+function threatsHeuristic(game, state, toPlay, length) {
+    const board = game._getBoard(state, game.historyStep - 1);
+    const { windows, byCell } = lineWindows(game.rows, game.cols, length);
+    const counts = windowCounts(board, windows);
+    const legal = game.getValidMoves(state);
+    const policy = new Float32Array(game.actionSpace);
+
+    // Distinct empty points that make five (fours) / a four (threes) for p
+    const threatPoints = (p, stones) => {
+        const points = new Set();
+        counts.forEach((count, i) => {
+            if (own(count, p) !== stones || opp(count, p) !== 0) return;
+            for (const cell of windows[i]) if (board[cell] === 0) points.add(cell);
+        });
+        return points;
+    };
+    const myFours = threatPoints(toPlay, length - 1), theirFours = threatPoints(-toPlay, length - 1);
+    const myThrees = threatPoints(toPlay, length - 2), theirThrees = threatPoints(-toPlay, length - 2);
+
+    for (const cell of legal) {
+        const { attack, defence } = cellScore(cell, toPlay, counts, byCell);
+        let score = attack + 0.9 * defence;
+        if (myFours.has(cell)) score += 10000;
+        else if (theirFours.has(cell)) score += 5000;
+        else if (myThrees.has(cell)) score += 50;
+        else if (theirThrees.has(cell)) score += 30;
+        policy[cell] = 2 * Math.log1p(score); // Sharper than the window prior: far more points to choose from
+    }
+
+    let value;
+    if (myFours.size > 0) value = 0.95;
+    else if (theirFours.size >= 2) value = -0.9;
+    else {
+        // Having the move is worth about one open three
+        const threats = (myThrees.size - theirThrees.size) * 2 - theirFours.size * 8 + 2;
+        value = Math.tanh((windowScore(counts, toPlay) / windowWeight(length - 1) + threats) / 8);
+    }
+    return { policy, value };
+}
+
+const HEURISTICS = { windows: windowsHeuristic, threats: threatsHeuristic };
+
+// `spec` is the game's registry entry (heuristic name and winLength)
+export function createHeuristicEvaluator(game, spec) {
+    const heuristic = HEURISTICS[spec.heuristic];
+    if (!heuristic) throw new Error(`${spec.label} has no heuristic evaluator`);
+    return async function evaluate(batch) {
+        return batch.map(({ state, toPlay }) => heuristic(game, state, toPlay, spec.winLength));
+    };
+}
+
+// Model-free evaluators by name, as offered next to 'network' in the page, worker and CLI
+export const MODEL_FREE_EVALUATORS = {
+    heuristic: (game, spec) => createHeuristicEvaluator(game, spec),
+    rollout: (game) => createRolloutEvaluator(game),
+};
@@ -0,0 +1,912 @@
+// SkyZero engine: game rules and game records. No DOM access here, so this module is
+// shared by the page (move legality / rendering), worker.js and the Node CLI.
+
+// ==========================================
+// Zobrist tables
+// ==========================================
+
+// Random words for (state index, colour) pairs plus the side to move. A fixed seed keeps the
+// keys stable across sessions, so they can be stored (IndexedDB opening cache).
+const zobristTables = new Map();
+
+function zobristTable(stateLength) {
+    if (!zobristTables.has(stateLength)) {
+        let seed = 0x5eed2024;
+        const next = () => { // mulberry32
+            seed = (seed + 0x6D2B79F5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return (t ^ (t >>> 14)) >>> 0;
+        };
+        zobristTables.set(stateLength, Uint32Array.from({ length: 4 * stateLength + 2 }, next));
+    }
+    return zobristTables.get(stateLength);
+}
+
+// ==========================================
+// 1. Game Logic Engines (核心规则)
+// ==========================================
+
+export class AbstractGame {
+    getInitialState() { throw new Error("Not implemented"); }
+    getNextState(state, action, toPlay) { throw new Error("Not implemented"); }
+    getValidMoves(state) { throw new Error("Not implemented"); }
+    checkWin(state) { throw new Error("Not implemented"); }
+    // Board cells (flat indices) of the line that won the game, or null (no winner yet, or a draw)
+    winningLine(state) { throw new Error("Not implemented"); }
+    encodeState(state, toPlay) { throw new Error("Not implemented"); }
+    // Board symmetries as [{ cells, actions }]: cells[i] / actions[a] is where cell i / action a
+    // ends up under the transform. The identity comes first.
+    getSymmetries() { throw new Error("Not implemented"); }
+    // Helper: Extract current board (last plane) from state history stack
+    _getBoard(state, stepIndex) { throw new Error("Not implemented"); }
+    // Empty points the side to move may not play, as Map<action, reason> (Renju only so far)
+    getForbiddenPoints(state) { return new Map(); }
+
+    // Network input per sample [C, H, W]: own / opponent planes for every history step + side to move
+    get inputShape() { return [2 * this.historyStep + 1, this.rows, this.cols]; }
+
+    // Zobrist key of everything encodeState sees: every history plane and the side to move.
+    // A number below 2^52; equal positions with different histories get different keys.
+    hashState(state, toPlay) {
+        const table = zobristTable(state.length);
+        let hi = 0, lo = 0;
+        for (let i = 0; i < state.length; i++) {
+            if (state[i] === 0) continue;
+            const k = 4 * i + (state[i] === 1 ? 0 : 2);
+            hi ^= table[k];
+            lo ^= table[k + 1];
+        }
+        if (toPlay === -1) {
+            hi ^= table[4 * state.length];
+            lo ^= table[4 * state.length + 1];
+        }
+        return (hi & 0xfffff) * 0x100000000 + (lo >>> 0);
+    }
+
+    // Set-up positions (board editor, the Position record header). Colours alternate from Black,
+    // so the piece counts decide the side to move: Black when they are equal, White when Black
+    // is one ahead, and nobody (null) otherwise.
+    setupToPlay(board) {
+        let balance = 0;
+        for (const v of board) balance += v;
+        return balance === 0 ? 1 : balance === 1 ? -1 : null;
+    }
+
+    // `board` with `piece` (1 / -1) placed on the cell of `action`, or the piece there removed (0)
+    editBoard(board, action, piece) {
+        const next = Float32Array.from(board);
+        next[action] = piece;
+        return next;
+    }
+
+    // Why `board` with `toPlay` to move cannot come up in a game (an empty list if it can)
+    checkSetup(board, toPlay) {
+        const problems = [];
+        let black = 0, white = 0;
+        for (const v of board) {
+            if (v === 1) black++;
+            else if (v === -1) white++;
+        }
+        if (this.setupToPlay(board) !== toPlay) {
+            const needed = toPlay === 1 ? 'as many pieces as White' : 'one piece more than White';
+            problems.push(`Black has ${black} pieces and White ${white}; with ${toPlay === 1 ? 'Black' : 'White'} to move, Black needs ${needed}`);
+        }
+        const winner = this.checkWin(this.setupState(board));
+        if (winner === 0) problems.push("The game is already over (draw)");
+        else if (winner !== null) problems.push(`${winner === 1 ? 'Black' : 'White'} has already won`);
+        return problems;
+    }
+
+    // Full state for a set-up board. It has no move history, so every history plane holds the
+    // board itself, as if the position had stood unchanged for a few moves (the empty start
+    // position is encoded the same way). Moves played from here fill the planes as usual.
+    setupState(board) {
+        const state = new Float32Array(this.historyStep * this.boardSize);
+        for (let i = 0; i < this.historyStep; i++) state.set(board, i * this.boardSize);
+        return state;
+    }
+
+    // Position text: rows from the top separated by '/', x = Black, o = White, . = empty, then the
+    // side to move, e.g. "x.o/.x./... o"
+    formatPosition(board, toPlay) {
+        const rows = [];
+        for (let r = 0; r < this.rows; r++) {
+            let row = '';
+            for (let c = 0; c < this.cols; c++) {
+                const v = board[r * this.cols + c];
+                row += v === 1 ? 'x' : v === -1 ? 'o' : '.';
+            }
+            rows.push(row);
+        }
+        return `${rows.join('/')} ${toPlay === 1 ? 'x' : 'o'}`;
+    }
+
+    // The reverse, checked with checkSetup -> { state, toPlay }
+    parsePosition(text) {
+        const match = /^\s*([xo./]+)\s+([xo])\s*$/.exec(text);
+        if (!match) throw new Error(`"${text}" is not a position (rows of x / o / . separated by '/', then x or o to move)`);
+        const rows = match[1].split('/');
+        if (rows.length !== this.rows || rows.some(row => row.length !== this.cols)) {
+            throw new Error(`A position needs ${this.rows} rows of ${this.cols} cells`);
+        }
+        const board = Float32Array.from(rows.join(''), ch => (ch === 'x' ? 1 : ch === 'o' ? -1 : 0));
+        const toPlay = match[2] === 'x' ? 1 : -1;
+        const problems = this.checkSetup(board, toPlay);
+        if (problems.length) throw new Error(`Illegal position: ${problems.join('; ')}`);
+        return { state: this.setupState(board), toPlay };
+    }
+
+    // Game records (棋谱): single-move tokens and whole-record text
+    formatMove(action) { throw new Error("Not implemented"); }
+    parseMove(token) { throw new Error("Not implemented"); }
+    toRecord(moves, headers) { throw new Error("Not implemented"); }
+    // Short label for move lists; defaults to the record token
+    moveLabel(action) { return this.formatMove(action); }
+    parseRecord(text) { throw new Error("Not implemented"); } // -> { headers, moves }
+    // Bare move list in record notation (no headers), e.g. the body of a record or a CLI argument
+    parseMoveList(text) { throw new Error("Not implemented"); }
+    // The reverse, compact and URL-safe (share links); comma-separated unless tokens need no separator
+    formatMoveList(moves) { return moves.map(a => this.formatMove(a)).join(','); }
+
+    // Replay a move list from the initial position (or a set-up `start`, see parsePosition) with
+    // full legality checks. Returns the final position plus the position before every move (for the undo stack).
+    replay(moves, start = null) {
+        let state = start ? start.state : this.getInitialState();
+        let toPlay = start ? start.toPlay : 1;
+        const positions = [];
+        moves.forEach((action, i) => {
+            const label = `Move ${i + 1} (${this.formatMove(action)})`;
+            if (this.checkWin(state) !== null) throw new Error(`${label}: the game is already over`);
+            if (!this.getValidMoves(state).includes(action)) throw new Error(`${label}: not a legal move in this position`);
+            positions.push({ state, toPlay, action });
+            state = this.getNextState(state, action, toPlay);
+            toPlay = -toPlay;
+        });
+        return { state, toPlay, positions };
+    }
+
+    // Shared parser for the whitespace / character separated move lists
+    _parseMoveTokens(tokens) {
+        return tokens.map((token, i) => {
+            try {
+                return this.parseMove(token);
+            } catch (e) {
+                throw new Error(`Move ${i + 1}: ${e.message}`);
+            }
+        });
+    }
+
+    _checkRecordGame(headers) {
+        if (headers.Game && headers.Game !== this.recordName) {
+            throw new Error(`This record is for ${headers.Game}, not ${this.recordName}`);
+        }
+    }
+}
+
+// The 8 dihedral transforms of an n x n board (identity, 3 rotations, 4 reflections)
+export function squareSymmetries(n) {
+    const maps = [
+        (r, c) => [r, c],
+        (r, c) => [c, n - 1 - r],
+        (r, c) => [n - 1 - r, n - 1 - c],
+        (r, c) => [n - 1 - c, r],
+        (r, c) => [r, n - 1 - c],
+        (r, c) => [n - 1 - r, c],
+        (r, c) => [c, r],
+        (r, c) => [n - 1 - c, n - 1 - r],
+    ];
+    return maps.map(f => {
+        const cells = new Int32Array(n * n);
+        for (let r = 0; r < n; r++) {
+            for (let c = 0; c < n; c++) {
+                const [nr, nc] = f(r, c);
+                cells[r * n + c] = nr * n + nc;
+            }
+        }
+        return { cells, actions: cells };
+    });
+}
+
+// Apply a cell permutation to every plane of an encoded [C, H, W] input
+export function transformPlanes(planes, cells) {
+    const bs = cells.length;
+    const out = new Float32Array(planes.length);
+    for (let off = 0; off < planes.length; off += bs) {
+        for (let j = 0; j < bs; j++) out[off + cells[j]] = planes[off + j];
+    }
+    return out;
+}
+
+// PGN-style `[Key "Value"]` header lines, used by the TicTacToe and Connect4 records
+function formatTagPairs(headers) {
+    return Object.entries(headers)
+        .filter(([, v]) => v !== undefined && v !== null && v !== '')
+        .map(([k, v]) => `[${k} "${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`)
+        .join('\n');
+}
+
+function parseTagPairs(text) {
+    const headers = {};
+    const body = text.replace(/^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/gm, (_, key, value) => {
+        headers[key] = value.replace(/\\(.)/g, '$1');
+        return '';
+    });
+    // A trailing PGN result token is tolerated but not part of the move list
+    return { headers, body: body.replace(/(1-0|0-1|1\/2-1\/2|\*)\s*$/, '').trim() };
+}
+
+// Human-readable grid coordinate: column letter + row counted from the bottom, e.g. "E5"
+export function gridCoordLabel(action, rows, cols) {
+    const r = Math.floor(action / cols), c = action % cols;
+    return String.fromCharCode(65 + c) + (rows - r);
+}
+
+// Which game a record belongs to: SGF is Gomoku, otherwise the [Game "..."] tag decides
+export function detectRecordGame(text) {
+    if (text.trim().startsWith('(')) return 'Gomoku';
+    return parseTagPairs(text).headers.Game || null;
+}
+
+const TTT_LINES = [
+    [0,1,2],[3,4,5],[6,7,8], // Rows
+    [0,3,6],[1,4,7],[2,5,8], // Cols
+    [0,4,8],[2,4,6]          // Diags
+];
+
+export class TicTacToe extends AbstractGame {
+    constructor() {
+        super();
+        this.boardSize = 9;
+        this.actionSpace = 9;
+        this.historyStep = 3;
+        this.rows = 3; this.cols = 3;
+        this.recordName = 'TicTacToe';
+    }
+
+    getInitialState() {
+        // Shape: [historyStep, 3, 3] flattened -> historyStep * 9
+        return new Float32Array(this.historyStep * 9).fill(0);
+    }
+
+    _getBoard(state, stepIndex) {
+        const offset = stepIndex * 9;
+        return state.subarray(offset, offset + 9);
+    }
+
+    getNextState(state, action, toPlay) {
+        const newState = new Float32Array(state.length);
+        const bs = 9;
+        // Shift history: 0<-1, 1<-2
+        for (let i = 0; i < this.historyStep - 1; i++) {
+            newState.set(state.subarray((i + 1) * bs, (i + 2) * bs), i * bs);
+        }
+        // Copy last to new current
+        const lastStart = (this.historyStep - 1) * bs;
+        newState.set(state.subarray(lastStart, lastStart + bs), lastStart);
+        // Apply move
+        newState[lastStart + action] = toPlay;
+        return newState;
+    }
+
+    getValidMoves(state) {
+        const moves = [];
+        const board = this._getBoard(state, this.historyStep - 1);
+        for (let i = 0; i < 9; i++) if (board[i] === 0) moves.push(i);
+        return moves;
+    }
+
+    checkWin(state) {
+        const board = this._getBoard(state, this.historyStep - 1);
+        const line = this.winningLine(state);
+        if (line) return board[line[0]];
+        for(let i=0; i<9; i++) if(board[i]===0) return null; // Not full
+        return 0; // Draw
+    }
+
+    winningLine(state) {
+        const board = this._getBoard(state, this.historyStep - 1);
+        for (const line of TTT_LINES) {
+            if (Math.abs(board[line[0]] + board[line[1]] + board[line[2]]) === 3) return line;
+        }
+        return null;
+    }
+
+    encodeState(state, toPlay) {
+        // [1, 2*hist+1, 3, 3]
+        const numPlanes = 2 * this.historyStep + 1;
+        const input = new Float32Array(numPlanes * 9);
+        for (let i = 0; i < this.historyStep; i++) {
+            const board = this._getBoard(state, i);
+            const p1 = (2 * i) * 9;
+            const p2 = (2 * i + 1) * 9;
+            for (let j = 0; j < 9; j++) {
+                if (board[j] === toPlay) input[p1 + j] = 1;
+                else if (board[j] === -toPlay) input[p2 + j] = 1;
+            }
+        }
+        const c = (2 * this.historyStep) * 9;
+        const val = toPlay > 0 ? 1 : 0;
+        for (let j = 0; j < 9; j++) input[c + j] = val;
+        return input;
+    }
+
+    getSymmetries() {
+        if (!this._symmetries) this._symmetries = squareSymmetries(3);
+        return this._symmetries;
+    }
+
+    // Record: cell indices 0-8 (row-major), space separated, e.g. "4 0 8 2"
+    formatMove(action) { return String(action); }
+
+    moveLabel(action) { return gridCoordLabel(action, 3, 3); }
+
+    parseMove(token) {
+        if (!/^[0-8]$/.test(token)) throw new Error(`"${token}" is not a cell index (0-8)`);
+        return Number(token);
+    }
+
+    toRecord(moves, headers = {}) {
+        return `${formatTagPairs({ Game: this.recordName, ...headers })}\n\n${moves.map(a => this.formatMove(a)).join(' ')}\n`;
+    }
+
+    parseMoveList(text) {
+        return this._parseMoveTokens(text.split(/[\s,]+/).filter(Boolean));
+    }
+
+    parseRecord(text) {
+        const { headers, body } = parseTagPairs(text);
+        this._checkRecordGame(headers);
+        return { headers, moves: this.parseMoveList(body) };
+    }
+}
+
+export class Connect4 extends AbstractGame {
+    constructor() {
+        super();
+        this.rows = 6; this.cols = 7;
+        this.boardSize = 42;
+        this.actionSpace = 7;
+        this.historyStep = 3;
+        this.recordName = 'Connect4';
+    }
+
+    getInitialState() { return new Float32Array(this.historyStep * 42).fill(0); }
+    
+    _getBoard(state, stepIndex) {
+        const offset = stepIndex * 42;
+        return state.subarray(offset, offset + 42);
+    }
+
+    getNextState(state, action, toPlay) {
+        const newState = new Float32Array(state.length);
+        const bs = 42;
+        for (let i = 0; i < this.historyStep - 1; i++) {
+            newState.set(state.subarray((i + 1) * bs, (i + 2) * bs), i * bs);
+        }
+        const lastStart = (this.historyStep - 1) * bs;
+        newState.set(state.subarray(lastStart, lastStart + bs), lastStart);
+        
+        // Apply gravity
+        for (let r = this.rows - 1; r >= 0; r--) {
+            const idx = lastStart + r * this.cols + action;
+            if (newState[idx] === 0) {
+                newState[idx] = toPlay;
+                break;
+            }
+        }
+        return newState;
+    }
+
+    getValidMoves(state) {
+        const moves = [];
+        const board = this._getBoard(state, this.historyStep - 1);
+        for (let c = 0; c < this.cols; c++) {
+            if (board[c] === 0) moves.push(c); // Check top row
+        }
+        return moves;
+    }
+
+    checkWin(state) {
+        const board = this._getBoard(state, this.historyStep - 1);
+        const line = this.winningLine(state);
+        if (line) return board[line[0]];
+        for(let i=0; i<42; i++) if(board[i]===0) return null;
+        return 0;
+    }
+
+    winningLine(state) {
+        const board = this._getBoard(state, this.historyStep - 1);
+        const get = (r, c) => board[r * 7 + c];
+        
+        // Directions: Horizontal, Vertical, Diag1, Diag2
+        const check = (r, c, dr, dc) => {
+            const val = get(r, c);
+            if (val === 0) return null;
+            for (let k = 1; k < 4; k++) {
+                const nr = r + dr * k, nc = c + dc * k;
+                if (nr < 0 || nr >= 6 || nc < 0 || nc >= 7 || get(nr, nc) !== val) return null;
+            }
+            return [0, 1, 2, 3].map(k => (r + dr * k) * 7 + c + dc * k);
+        };
+
+        for (let r = 0; r < 6; r++) {
+            for (let c = 0; c < 7; c++) {
+                const line = (c <= 3 && check(r, c, 0, 1)) || (r <= 2 && check(r, c, 1, 0))
+                    || (r <= 2 && c <= 3 && check(r, c, 1, 1)) || (r <= 2 && c >= 3 && check(r, c, 1, -1));
+                if (line) return line;
+            }
+        }
+        return null;
+    }
+
+    encodeState(state, toPlay) {
+        const bs = 42;
+        const numPlanes = 2 * this.historyStep + 1;
+        const input = new Float32Array(numPlanes * bs);
+        for (let i = 0; i < this.historyStep; i++) {
+            const board = this._getBoard(state, i);
+            const p1 = (2 * i) * bs;
+            const p2 = (2 * i + 1) * bs;
+            for (let j = 0; j < bs; j++) {
+                if (board[j] === toPlay) input[p1 + j] = 1;
+                else if (board[j] === -toPlay) input[p2 + j] = 1;
+            }
+        }
+        const c = (2 * this.historyStep) * bs;
+        const val = toPlay > 0 ? 1 : 0;
+        for (let j = 0; j < bs; j++) input[c + j] = val;
+        return input;
+    }
+
+    // Identity and the left-right mirror
+    getSymmetries() {
+        if (!this._symmetries) {
+            const cells = new Int32Array(this.boardSize);
+            for (let r = 0; r < this.rows; r++) {
+                for (let c = 0; c < this.cols; c++) cells[r * this.cols + c] = r * this.cols + (this.cols - 1 - c);
+            }
+            const actions = Int32Array.from({ length: this.cols }, (_, c) => this.cols - 1 - c);
+            const identity = (n) => Int32Array.from({ length: n }, (_, i) => i);
+            this._symmetries = [
+                { cells: identity(this.boardSize), actions: identity(this.cols) },
+                { cells, actions },
+            ];
+        }
+        return this._symmetries;
+    }
+
+    // Gravity: a disc lands on top of its column, and only the top disc can be taken off
+    editBoard(board, action, piece) {
+        const next = Float32Array.from(board);
+        let top = 0; // Highest occupied row, or this.rows for an empty column
+        while (top < this.rows && board[top * this.cols + action] === 0) top++;
+        if (piece === 0 && top < this.rows) next[top * this.cols + action] = 0;
+        else if (piece !== 0 && top > 0) next[(top - 1) * this.cols + action] = piece;
+        return next;
+    }
+
+    checkSetup(board, toPlay) {
+        const problems = super.checkSetup(board, toPlay);
+        for (let c = 0; c < this.cols; c++) {
+            for (let r = 0; r < this.rows - 1; r++) {
+                if (board[r * this.cols + c] !== 0 && board[(r + 1) * this.cols + c] === 0) {
+                    problems.push(`Column ${c + 1} has a floating disc`);
+                    break;
+                }
+            }
+        }
+        return problems;
+    }
+
+    // Record: 1-based column digits without separators, e.g. "4453"
+    formatMove(action) { return String(action + 1); }
+
+    parseMove(token) {
+        if (!/^[1-7]$/.test(token)) throw new Error(`"${token}" is not a column (1-7)`);
+        return Number(token) - 1;
+    }
+
+    toRecord(moves, headers = {}) {
+        return `${formatTagPairs({ Game: this.recordName, ...headers })}\n\n${moves.map(a => this.formatMove(a)).join('')}\n`;
+    }
+
+    parseMoveList(text) {
+        return this._parseMoveTokens(text.replace(/\s+/g, '').split(''));
+    }
+
+    formatMoveList(moves) { return moves.map(a => this.formatMove(a)).join(''); }
+
+    parseRecord(text) {
+        const { headers, body } = parseTagPairs(text);
+        this._checkRecordGame(headers);
+        return { headers, moves: this.parseMoveList(body) };
+    }
+}
+
+// Gomoku rule sets
+//   freestyle - five or more in a row wins
+//   standard  - exactly five wins; an overline (6+) does not
+//   renju     - Black needs exactly five and may not play double-three, double-four or overline;
+//               White wins with five or more
+export const GOMOKU_RULES = ['freestyle', 'standard', 'renju'];
+
+const GOMOKU_DIRS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+export class Gomoku extends AbstractGame {
+    constructor({ rule = 'freestyle' } = {}) {
+        super();
+        if (!GOMOKU_RULES.includes(rule)) throw new Error(`Unknown Gomoku rule set: ${rule}`);
+        this.rule = rule;
+        this._forbiddenCache = new WeakMap(); // state -> getForbiddenPoints(state)
+        this.size = 9;
+        this.rows = 9; this.cols = 9;
+        this.boardSize = 81;
+        this.actionSpace = 81;
+        this.historyStep = 4;
+        this.recordName = 'Gomoku';
+    }
+
+    getInitialState() { return new Float32Array(this.historyStep * 81).fill(0); }
+    _getBoard(state, stepIndex) {
+        const offset = stepIndex * 81;
+        return state.subarray(offset, offset + 81);
+    }
+
+    getNextState(state, action, toPlay) {
+        const newState = new Float32Array(state.length);
+        const bs = 81;
+        for (let i = 0; i < this.historyStep - 1; i++) {
+            newState.set(state.subarray((i + 1) * bs, (i + 2) * bs), i * bs);
+        }
+        const last = (this.historyStep - 1) * bs;
+        newState.set(state.subarray(last, last + bs), last);
+        newState[last + action] = toPlay;
+        return newState;
+    }
+
+    getValidMoves(state) {
+        const moves = [];
+        const board = this._getBoard(state, this.historyStep - 1);
+        const forbidden = this.getForbiddenPoints(state);
+        for (let i = 0; i < 81; i++) if (board[i] === 0 && !forbidden.has(i)) moves.push(i);
+        return moves;
+    }
+
+    checkWin(state) {
+        const board = this._getBoard(state, this.historyStep - 1);
+        const line = this.winningLine(state);
+        if (line) return board[line[0]];
+        for(let i=0; i<81; i++) if(board[i]===0) {
+            // Renju: Black may be left with nothing but forbidden points, which is a draw
+            return this.rule === 'renju' && this.getValidMoves(state).length === 0 ? 0 : null;
+        }
+        return 0;
+    }
+
+    // The whole run, so an overline (where it wins) is highlighted in full
+    winningLine(state) {
+        const board = this._getBoard(state, this.historyStep - 1);
+        const S = 9;
+        const get = (r, c) => (r < 0 || r >= S || c < 0 || c >= S) ? 0 : board[r * S + c];
+        
+        for (let r = 0; r < S; r++) {
+            for (let c = 0; c < S; c++) {
+                const p = get(r, c);
+                if (p === 0) continue;
+                for (const [dr, dc] of GOMOKU_DIRS) {
+                    if (get(r - dr, c - dc) === p) continue; // Count each run once, from its start
+                    let n = 1;
+                    while (get(r + dr * n, c + dc * n) === p) n++;
+                    if (this._isWinningRun(n, p)) return Array.from({ length: n }, (_, k) => (r + dr * k) * S + c + dc * k);
+                }
+            }
+        }
+        return null;
+    }
+
+    _isWinningRun(n, p) {
+        if (this.rule === 'freestyle' || (this.rule === 'renju' && p === -1)) return n >= 5;
+        return n === 5;
+    }
+
+    // Renju forbidden points for Black. Colours always alternate, so Black is to move
+    // exactly when both sides have the same number of stones.
+    getForbiddenPoints(state) {
+        if (this.rule !== 'renju') return new Map();
+        let forbidden = this._forbiddenCache.get(state);
+        if (forbidden) return forbidden;
+
+        forbidden = new Map();
+        const board = Float32Array.from(this._getBoard(state, this.historyStep - 1)); // Scratch copy
+        const balance = board.reduce((sum, v) => sum + v, 0);
+        if (balance === 0) {
+            for (let i = 0; i < 81; i++) {
+                if (board[i] !== 0 || !this._hasBlackNearby(board, i)) continue;
+                const reason = this._forbiddenReason(board, i, 0);
+                if (reason) forbidden.set(i, reason);
+            }
+        }
+        this._forbiddenCache.set(state, forbidden);
+        return forbidden;
+    }
+
+    // Cheap pre-check: a forbidden shape needs at least 4 black stones on the lines through the point
+    _hasBlackNearby(board, idx) {
+        const r = Math.floor(idx / 9), c = idx % 9;
+        let count = 0;
+        for (const [dr, dc] of GOMOKU_DIRS) {
+            for (let k = -4; k <= 4; k++) {
+                if (k !== 0 && this._at(board, r + dr * k, c + dc * k) === 1) count++;
+            }
+        }
+        return count >= 4;
+    }
+
+    _at(board, r, c) {
+        return (r < 0 || r >= 9 || c < 0 || c >= 9) ? null : board[r * 9 + c]; // null = off the board
+    }
+
+    // Length of the black run through (r, c) along (dr, dc); (r, c) must hold a black stone
+    _runThrough(board, r, c, dr, dc) {
+        let n = 1;
+        for (let k = 1; this._at(board, r + dr * k, c + dc * k) === 1; k++) n++;
+        for (let k = 1; this._at(board, r - dr * k, c - dc * k) === 1; k++) n++;
+        return n;
+    }
+
+    // Offsets k along (dr, dc) where one more black stone makes exactly five through (r, c)
+    _fivePoints(board, r, c, dr, dc) {
+        const points = [];
+        for (let k = -4; k <= 4; k++) {
+            if (k === 0 || this._at(board, r + dr * k, c + dc * k) !== 0) continue;
+            const idx = (r + dr * k) * 9 + (c + dc * k);
+            board[idx] = 1;
+            if (this._runThrough(board, r, c, dr, dc) === 5) points.push(k);
+            board[idx] = 0;
+        }
+        return points;
+    }
+
+    // Fours through (r, c) on one line. An open four (_XXXX_) has two five points but is one four;
+    // X_XXX_X has two five points and is two fours.
+    _foursInLine(board, r, c, dr, dc) {
+        const points = this._fivePoints(board, r, c, dr, dc);
+        return points.length === 2 && points[1] - points[0] === 5 ? 1 : points.length;
+    }
+
+    // A real three: some empty point on the line turns it into an open four,
+    // and that point is not itself forbidden for Black
+    _isThree(board, r, c, dr, dc, depth) {
+        for (let k = -4; k <= 4; k++) {
+            if (k === 0 || this._at(board, r + dr * k, c + dc * k) !== 0) continue;
+            const idx = (r + dr * k) * 9 + (c + dc * k);
+            board[idx] = 1;
+            const points = this._fivePoints(board, r, c, dr, dc);
+            board[idx] = 0;
+            if (points.length === 2 && points[1] - points[0] === 5) {
+                // Deeper recursion is rare in practice; past depth 2 the point is assumed playable
+                if (depth >= 2 || !this._forbiddenReason(board, idx, depth + 1)) return true;
+            }
+        }
+        return false;
+    }
+
+    // Why Black may not play at idx ('overline' | 'double-four' | 'double-three'), or null.
+    // `board` is modified temporarily and restored.
+    _forbiddenReason(board, idx, depth) {
+        const r = Math.floor(idx / 9), c = idx % 9;
+        board[idx] = 1;
+        try {
+            let overline = false;
+            for (const [dr, dc] of GOMOKU_DIRS) {
+                const n = this._runThrough(board, r, c, dr, dc);
+                if (n === 5) return null; // Making five wins, whatever else the move does
+                if (n > 5) overline = true;
+            }
+            if (overline) return 'overline';
+
+            let fours = 0, threes = 0;
+            for (const [dr, dc] of GOMOKU_DIRS) {
+                const f = this._foursInLine(board, r, c, dr, dc);
+                fours += f;
+                if (f === 0 && this._isThree(board, r, c, dr, dc, depth)) threes++;
+            }
+            if (fours >= 2) return 'double-four';
+            if (threes >= 2) return 'double-three';
+            return null;
+        } finally {
+            board[idx] = 0;
+        }
+    }
+
+    encodeState(state, toPlay) {
+        const bs = 81;
+        const numPlanes = 2 * this.historyStep + 1;
+        const input = new Float32Array(numPlanes * bs);
+        for (let i = 0; i < this.historyStep; i++) {
+            const board = this._getBoard(state, i);
+            const p1 = (2 * i) * bs;
+            const p2 = (2 * i + 1) * bs;
+            for (let j = 0; j < bs; j++) {
+                if (board[j] === toPlay) input[p1 + j] = 1;
+                else if (board[j] === -toPlay) input[p2 + j] = 1;
+            }
+        }
+        const c = (2 * this.historyStep) * bs;
+        const val = toPlay > 0 ? 1 : 0;
+        for (let j = 0; j < bs; j++) input[c + j] = val;
+        return input;
+    }
+
+    getSymmetries() {
+        if (!this._symmetries) this._symmetries = squareSymmetries(this.size);
+        return this._symmetries;
+    }
+
+    // Record: SGF (GM[4]); points are column letter + row letter, "aa" = top-left
+    formatMove(action) {
+        const r = Math.floor(action / this.size), c = action % this.size;
+        return String.fromCharCode(97 + c) + String.fromCharCode(97 + r);
+    }
+
+    moveLabel(action) { return gridCoordLabel(action, this.size, this.size); }
+
+    parseMove(token) {
+        if (token === '' || token === 'tt') throw new Error("passes are not allowed in Gomoku");
+        if (!/^[a-z]{2}$/.test(token)) throw new Error(`"${token}" is not an SGF point`);
+        const c = token.charCodeAt(0) - 97, r = token.charCodeAt(1) - 97;
+        if (c >= this.size || r >= this.size) throw new Error(`"${token}" is off the ${this.size}x${this.size} board`);
+        return r * this.size + c;
+    }
+
+    // Outside SGF a move list is just the points separated by spaces, e.g. "ee fe ed"
+    parseMoveList(text) {
+        return this._parseMoveTokens(text.split(/[\s,;]+/).filter(Boolean));
+    }
+
+    toRecord(moves, headers = {}) {
+        const props = ['GM[4]', 'FF[4]', 'CA[UTF-8]', 'AP[SkyZero]', `SZ[${this.size}]`];
+        for (const [key, id] of Object.entries(SGF_HEADER_PROPS)) {
+            let value = headers[key];
+            if (value === undefined || value === null || value === '') continue;
+            if (key === 'Result') value = pgnResultToSgf(value, headers.Termination);
+            if (key === 'Date') value = String(value).replace(/\./g, '-');
+            if (value) props.push(`${id}[${escapeSgf(value)}]`);
+        }
+        // A set-up position becomes setup stones (AB / AW) and the player to move (PL)
+        let first = 1;
+        if (headers.Position) {
+            const { state, toPlay } = this.parsePosition(headers.Position);
+            const board = this._getBoard(state, this.historyStep - 1);
+            for (const [id, piece] of [['AB', 1], ['AW', -1]]) {
+                const points = [...board.keys()].filter(i => board[i] === piece).map(i => `[${this.formatMove(i)}]`);
+                if (points.length) props.push(id + points.join(''));
+            }
+            props.push(`PL[${toPlay === 1 ? 'B' : 'W'}]`);
+            first = toPlay;
+        }
+        const nodes = moves.map((a, i) => `;${(i % 2 === 0 ? first : -first) === 1 ? 'B' : 'W'}[${this.formatMove(a)}]`);
+        return `(;${props.join('')}\n${nodes.join('')})\n`;
+    }
+
+    parseRecord(text) {
+        const nodes = parseSgfNodes(text);
+        if (nodes.length === 0) throw new Error("SGF record has no nodes");
+        const root = nodes[0];
+        if (root.GM && root.GM[0] !== '4') throw new Error(`SGF game type GM[${root.GM[0]}] is not Gomoku (GM[4])`);
+        if (root.SZ && Number(root.SZ[0]) !== this.size) {
+            throw new Error(`Board size ${root.SZ[0]} does not match the ${this.size}x${this.size} board`);
+        }
+
+        const headers = {};
+        for (const [key, id] of Object.entries(SGF_HEADER_PROPS)) {
+            if (!root[id]) continue;
+            let value = root[id][0];
+            if (key === 'Date') value = value.replace(/-/g, '.');
+            if (key === 'Result') Object.assign(headers, sgfResultToPgn(value));
+            else headers[key] = value;
+        }
+
+        // Setup stones: the game starts from that position (checked by parsePosition when loaded)
+        let first = 'B';
+        if (root.AB || root.AW) {
+            const board = new Float32Array(this.boardSize);
+            for (const [id, piece] of [['AB', 1], ['AW', -1]]) {
+                for (const point of root[id] || []) {
+                    try {
+                        board[this.parseMove(point)] = piece;
+                    } catch (e) {
+                        throw new Error(`Setup stone ${id}[${point}]: ${e.message}`);
+                    }
+                }
+            }
+            const toPlay = root.PL ? (/^w/i.test(root.PL[0]) ? -1 : 1) : (this.setupToPlay(board) || 1);
+            headers.Position = this.formatPosition(board, toPlay);
+            first = toPlay === 1 ? 'B' : 'W';
+        }
+
+        const tokens = [];
+        for (const node of nodes) {
+            if (!node.B && !node.W) continue;
+            const expected = (tokens.length % 2 === 0) === (first === 'B') ? 'B' : 'W';
+            if (!node[expected]) {
+                throw new Error(`Move ${tokens.length + 1}: expected ${expected === 'B' ? 'Black (B)' : 'White (W)'} to play`);
+            }
+            tokens.push(node[expected][0]);
+        }
+        return { headers, moves: this._parseMoveTokens(tokens) };
+    }
+}
+
+// Record header <-> SGF root property. Z* are private SkyZero properties for the engine settings.
+const SGF_HEADER_PROPS = {
+    Black: 'PB', White: 'PW', Date: 'DT', Result: 'RE', Rule: 'RU',
+    Level: 'ZL', Simulations: 'ZN', CPuct: 'ZC', TimeControl: 'ZT', Opening: 'ZO', Hints: 'ZH',
+};
+
+function escapeSgf(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\]/g, '\\]');
+}
+
+function pgnResultToSgf(result, termination) {
+    const byTime = termination === 'time forfeit' ? 'T' : '';
+    if (result === '1-0') return `B+${byTime}`;
+    if (result === '0-1') return `W+${byTime}`;
+    if (result === '1/2-1/2') return '0';
+    return null; // '*' (unfinished) is simply omitted
+}
+
+function sgfResultToPgn(re) {
+    const headers = {};
+    if (/^B\+/i.test(re)) headers.Result = '1-0';
+    else if (/^W\+/i.test(re)) headers.Result = '0-1';
+    else if (re === '0' || /^draw$/i.test(re)) headers.Result = '1/2-1/2';
+    else headers.Result = '*';
+    if (/^[BW]\+T/i.test(re)) headers.Termination = 'time forfeit';
+    return headers;
+}
+
+// Minimal SGF reader: returns the main line as a list of { PROP: [values] } nodes.
+// Reading stops at the first ')', which is exactly the end of the main variation.
+function parseSgfNodes(text) {
+    const start = text.indexOf('(');
+    if (start < 0) throw new Error("Not an SGF record: missing '('");
+    const nodes = [];
+    let node = null;
+    let i = start + 1;
+    while (i < text.length && text[i] !== ')') {
+        const ch = text[i];
+        if (ch === ';') {
+            node = {};
+            nodes.push(node);
+            i++;
+        } else if (/[A-Z]/.test(ch)) {
+            let id = '';
+            while (i < text.length && /[A-Za-z]/.test(text[i])) {
+                if (text[i] <= 'Z') id += text[i]; // FF[3] allows lowercase filler letters
+                i++;
+            }
+            const values = [];
+            while (true) {
+                while (i < text.length && /\s/.test(text[i])) i++;
+                if (text[i] !== '[') break;
+                let value = '';
+                i++;
+                while (i < text.length && text[i] !== ']') {
+                    if (text[i] === '\\') i++;
+                    value += text[i++];
+                }
+                if (i >= text.length) throw new Error(`Unterminated value for SGF property ${id}`);
+                values.push(value);
+                i++;
+            }
+            if (values.length === 0) throw new Error(`SGF property ${id} has no value`);
+            if (!node) throw new Error(`SGF property ${id} appears before the first node`);
+            node[id] = values;
+        } else {
+            i++; // whitespace, nested '('
+        }
+    }
+    return nodes;
+}
@@ -0,0 +1,19 @@
+// SkyZero engine: game rules, records and MCTS as plain ES modules (no DOM, no globals).
+// Used by script.js, worker.js and cli.js, and importable from Node:
+//
+//   import { createGame, MCTS, createOnnxEvaluator } from './engine/index.js';
+//
+// MCTS takes any evaluator (see engine/mcts.js); createHeuristicEvaluator and
+// createRolloutEvaluator play without a model. createExactSolver proves small positions.
+
+export {
+    AbstractGame, TicTacToe, Connect4, Gomoku, GOMOKU_RULES,
+    detectRecordGame, gridCoordLabel, squareSymmetries, transformPlanes,
+} from './games.js';
+export { GAME_REGISTRY, getGameSpec, findGameByRecordName, createGame, modelRequestUrl } from './registry.js';
+export { Node, MCTS, chooseAction, maskedSoftmax } from './mcts.js';
+export { createOnnxEvaluator, readModelIO, checkModelShape } from './onnx.js';
+export { createRolloutEvaluator, createHeuristicEvaluator, MODEL_FREE_EVALUATORS } from './evaluators.js';
+export { LRUCache, createCachedEvaluator } from './cache.js';
+export { solveMoves, createExactSolver } from './solver.js';
+export { PUZZLE_DEFAULTS, dominantMove, findPuzzleCandidates, classifyPuzzle, acceptsMove } from './puzzles.js';
@@ -0,0 +1,443 @@
+// SkyZero engine: MCTS. The network is not referenced here; the search calls an injected
+// evaluator, so it runs the same against ONNX Runtime (see onnx.js), the model-free
+// evaluators (evaluators.js) or any other function.
+//
+//   evaluate(batch, args) -> Promise<[{ policy, value }]>
+//     batch   [{ state, toPlay }] positions to evaluate (not terminal)
+//     args    the search args, for evaluator options such as `symmetry`
+//     policy  logits over the whole action space (illegal moves are masked here)
+//     value   [-1, 1] from the point of view of `toPlay`
+//
+// MCTS-solver: terminal positions are proven results, and a node is proven once one move leads
+// to a proven win, or every move is proven. Proofs are { result, plies } for the node's toPlay:
+// result 1 / 0 / -1, plies to the end of the game with the fastest win / slowest loss (0 for a
+// draw). Proven nodes are backed up with their exact value and never expanded further; a proven
+// root ends the search. An optional exact solver (solver.js) can prove the root outright.
+
+// ==========================================
+// 2. MCTS Engine (核心算法)
+// ==========================================
+
+export class Node {
+    constructor(state, toPlay, prior = 0, parent = null, actionTaken = null) {
+        this.state = state;
+        this.toPlay = toPlay;
+        this.prior = prior;
+        this.rawPrior = prior; // Evaluator's prior, before any root noise
+        this.parent = parent;
+        this.actionTaken = actionTaken;
+        this.children = [];
+        this.v = 0;
+        this.n = 0;
+        this.noised = false; // Dirichlet noise already mixed into children's priors
+        this.rawValue = null; // Evaluator's value for this position (toPlay's view), set on expansion
+        this.complete = false; // Every legal move has a child (needed to prove a draw or loss)
+        this.proven = null; // { result, plies } once the outcome is certain (MCTS-solver)
+        this.solveTried = false; // Exact solver already run on this node
+    }
+    isExpanded() { return this.children.length > 0; }
+    update(value) { this.v += value; this.n += 1; }
+}
+
+// ==========================================
+// Sampling helpers (Dirichlet noise / temperature)
+// ==========================================
+
+function sampleNormal() {
+    // Box-Muller
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function sampleGamma(alpha) {
+    // Marsaglia & Tsang; alpha < 1 uses the standard boost
+    if (alpha < 1) return sampleGamma(alpha + 1) * Math.pow(Math.random(), 1 / alpha);
+    const d = alpha - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    while (true) {
+        let x, v;
+        do {
+            x = sampleNormal();
+            v = 1 + c * x;
+        } while (v <= 0);
+        v = v * v * v;
+        const u = Math.random();
+        if (u < 1 - 0.0331 * x ** 4) return d * v;
+        if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+    }
+}
+
+function sampleDirichlet(alpha, n) {
+    const xs = Array.from({ length: n }, () => sampleGamma(alpha));
+    const sum = xs.reduce((a, b) => a + b, 0);
+    return xs.map(x => x / sum);
+}
+
+// Pick the move to play from root visit counts.
+//   temperature 0 -> most visited; otherwise sample proportional to n^(1/temperature)
+//   blunderRate   -> chance of deliberately playing a random legal move other than the best
+//   proven        -> the search's proof of the root (summarize): its move replaces the most visited
+//                    one and is played without temperature (deliberate blunders still apply)
+export function chooseAction(actionCounts, legalMoves, { temperature = 0, blunderRate = 0 } = {}, proven = null) {
+    let bestAction = -1;
+    let maxN = -1;
+    for (let i = 0; i < actionCounts.length; i++) {
+        if (actionCounts[i] > maxN) {
+            maxN = actionCounts[i];
+            bestAction = i;
+        }
+    }
+    if (proven && proven.action !== null) {
+        bestAction = proven.action;
+        temperature = 0;
+    } else if (bestAction === -1 || maxN <= 0) {
+        return bestAction;
+    }
+
+    if (blunderRate > 0 && Math.random() < blunderRate) {
+        const others = legalMoves.filter(a => a !== bestAction);
+        if (others.length > 0) return others[Math.floor(Math.random() * others.length)];
+    }
+
+    if (temperature <= 0) return bestAction;
+
+    // Normalise by the max count first so n^(1/T) cannot overflow for small T
+    const weights = Array.from(actionCounts, n => n > 0 ? Math.pow(n / maxN, 1 / temperature) : 0);
+    const total = weights.reduce((a, b) => a + b, 0);
+    let r = Math.random() * total;
+    for (let i = 0; i < weights.length; i++) {
+        r -= weights[i];
+        if (weights[i] > 0 && r <= 0) return i;
+    }
+    return bestAction;
+}
+
+// Softmax of logitAt(a) over the legal moves only; illegal actions get 0
+export function maskedSoftmax(logitAt, legalMoves, actionSpace) {
+    let maxLogit = -Infinity;
+    for (const move of legalMoves) if (logitAt(move) > maxLogit) maxLogit = logitAt(move);
+
+    let sumExp = 0;
+    const probs = new Float32Array(actionSpace).fill(0);
+    for (const move of legalMoves) {
+        probs[move] = Math.exp(logitAt(move) - maxLogit);
+        sumExp += probs[move];
+    }
+    for (const move of legalMoves) probs[move] /= sumExp;
+    return probs;
+}
+
+// A child's proof seen from its parent (the player who moved into it), one ply further from the end
+const proofFromChild = ({ result, plies }) => ({ result: -result, plies: result === 0 ? 0 : plies + 1 });
+
+export class MCTS {
+    // `solve(state, toPlay)`: optional exact solver for the root, returning every legal move's
+    // proof or null when the position is too big (createExactSolver in solver.js)
+    constructor(game, evaluate, args, solve = null) {
+        this.game = game;
+        this.evaluate = evaluate;
+        this.args = args;
+        this.solve = solve;
+        this.root = null; // Kept between searches so visits on the played line are reused
+        this.stopRequested = false;
+    }
+
+    // Ask a running search to return after its current batch
+    stop() {
+        this.stopRequested = true;
+    }
+
+    // Children are created without a state; it is computed the first time the node is visited.
+    // That keeps long (analysis) searches from allocating a board for every unexplored move.
+    materialize(node) {
+        if (!node.state) node.state = this.game.getNextState(node.parent.state, node.actionTaken, node.parent.toPlay);
+        return node;
+    }
+
+    // Descend into the child reached by `action`, keeping its subtree and statistics.
+    // If that child was never created the tree is simply dropped.
+    advance(action) {
+        const child = this.root ? this.root.children.find(c => c.actionTaken === action) : null;
+        this.root = child ? this.materialize(child) : null;
+        if (this.root) this.root.parent = null;
+    }
+
+    resetTree() {
+        this.root = null;
+    }
+
+    // Reuse the stored root only if it really is the position we were asked to search
+    getRoot(state, toPlay) {
+        const root = this.root;
+        if (root && root.toPlay === toPlay && root.state.length === state.length
+            && root.state.every((v, i) => v === state[i])) {
+            return root;
+        }
+        return new Node(state, toPlay);
+    }
+
+    select(node) {
+        let bestScore = -Infinity;
+        let bestChild = null;
+        for (const child of node.children) {
+            // Proven children count with their exact value; proven losses are not worth another visit
+            const q = child.proven ? -child.proven.result : child.n > 0 ? -child.v / child.n : 0;
+            const u = this.args.c_puct * child.prior * (Math.sqrt(node.n) / (1 + child.n));
+            const score = child.proven && child.proven.result === 1 ? -Infinity : q + u;
+            if (score > bestScore || !bestChild) { bestScore = score; bestChild = child; }
+        }
+        return bestChild;
+    }
+
+    // Settle `node` from its children's proofs, then each ancestor that settles in turn
+    propagateProof(node) {
+        for (; node && !node.proven; node = node.parent) {
+            let win = null;
+            let allProven = node.complete;
+            let draw = false;
+            let slowestLoss = 0;
+            for (const child of node.children) {
+                if (!child.proven) { allProven = false; continue; }
+                const proof = proofFromChild(child.proven);
+                if (proof.result === 1 && (!win || proof.plies < win.plies)) win = proof;
+                else if (proof.result === 0) draw = true;
+                else if (proof.result === -1) slowestLoss = Math.max(slowestLoss, proof.plies);
+            }
+            if (win) node.proven = win;
+            else if (allProven) node.proven = draw ? { result: 0, plies: 0 } : { result: -1, plies: slowestLoss };
+            else return;
+        }
+    }
+
+    // The move that realises a proven node's result: fastest win, a draw, or the slowest loss
+    provenMove(node) {
+        let best = null;
+        for (const child of node.children) {
+            if (!child.proven) continue;
+            const proof = proofFromChild(child.proven);
+            if (proof.result !== node.proven.result) continue;
+            if (!best || (proof.result === 1 ? proof.plies < best.plies
+                : proof.result === -1 ? proof.plies > best.plies
+                : child.n > best.child.n || (child.n === best.child.n && child.prior > best.child.prior))) {
+                best = { child, plies: proof.plies };
+            }
+        }
+        return best ? best.child.actionTaken : null;
+    }
+
+    // Prove every move of an expanded node with the exact solver (adding children the policy
+    // left out), which settles the node itself
+    applyExactSolver(node) {
+        node.solveTried = true;
+        const moves = this.solve(node.state, node.toPlay);
+        if (!moves) return;
+        for (const { action, result, plies } of moves) {
+            let child = node.children.find(c => c.actionTaken === action);
+            if (!child) {
+                child = new Node(null, -node.toPlay, 0, node, action);
+                node.children.push(child);
+            }
+            child.proven = { result: -result, plies: result === 0 ? 0 : plies - 1 };
+        }
+        node.complete = true;
+        this.propagateProof(node);
+    }
+
+    // Evaluate all leaves with one evaluator call, attach children to each leaf
+    // and return the value of every leaf.
+    async expandBatch(nodes) {
+        const outputs = await this.evaluate(nodes.map(node => ({ state: node.state, toPlay: node.toPlay })), this.args);
+        return nodes.map((node, i) => {
+            const legalMoves = this.game.getValidMoves(node.state);
+            const { policy, value } = outputs[i];
+            node.rawValue = value;
+            this.expandWithPriors(node, maskedSoftmax(a => policy[a], legalMoves, this.game.actionSpace), legalMoves);
+            node.complete = node.children.length === legalMoves.length;
+            return value;
+        });
+    }
+
+    expandWithPriors(node, priors, legalMoves) {
+        for (const move of legalMoves) {
+            const prob = priors[move];
+            if (prob > 0) {
+                // Child's toPlay is opposite of current node; its state is filled in by materialize()
+                const child = new Node(null, -node.toPlay, prob, node, move);
+                node.children.push(child);
+            }
+        }
+    }
+
+    backpropagate(node, value) {
+        while (node) {
+            node.update(value);
+            value = -value; // Flip value for parent
+            node = node.parent;
+        }
+    }
+
+    // Virtual loss: pretend every node on the path already lost for the player who chose it,
+    // so the next selection in the same batch is steered towards a different leaf.
+    applyVirtualLoss(node, sign) {
+        const vl = sign * (this.args.virtualLoss ?? 1);
+        while (node) {
+            node.v += vl;
+            node.n += vl;
+            node = node.parent;
+        }
+    }
+
+    // Mix Dirichlet noise into the root priors (once per root, so reused trees don't compound it)
+    addRootNoise(root) {
+        const eps = this.args.dirichletEpsilon || 0;
+        if (eps <= 0 || root.noised || !root.isExpanded()) return;
+        const noise = sampleDirichlet(this.args.dirichletAlpha || 0.3, root.children.length);
+        root.children.forEach((child, i) => {
+            child.prior = (1 - eps) * child.prior + eps * noise[i];
+        });
+        root.noised = true;
+    }
+
+    terminalValue(node) {
+        const winner = this.game.checkWin(node.state);
+        if (winner === null) return null;
+        // If winner is toPlay, value is 1. If winner is opponent, value is -1.
+        // Draw is 0.
+        if (winner === 0) return 0;
+        return (winner === node.toPlay) ? 1 : -1;
+    }
+
+    // Runs up to `numSimulations` more simulations on top of whatever the reused root already has.
+    // If `timeLimitMs` is set the search also stops once that much time has passed
+    // (at least one batch is always evaluated so there is a move to play).
+    // `numSimulations` may be Infinity (analysis); such a search runs until stop() is called.
+    // onProgress(simulations, summary) is called every `progressInterval` simulations.
+    async search(state, toPlay, onProgress = null) {
+        const root = this.getRoot(state, toPlay);
+        this.root = root;
+        this.stopRequested = false;
+        // A proof handed down by the exact solver at the parent names no move to play here: derive it again
+        if (root.proven && this.provenMove(root) === null) root.proven = null;
+        const progressInterval = this.args.progressInterval || 50;
+        const batchSize = Math.max(1, this.args.batchSize || 1);
+        const deadline = this.args.timeLimitMs ? performance.now() + this.args.timeLimitMs : Infinity;
+
+        let simulations = 0;
+        // Expand the root up front so root noise applies from the very first simulation
+        if (!root.isExpanded() && this.terminalValue(root) === null) {
+            const [value] = await this.expandBatch([root]);
+            this.backpropagate(root, value);
+            simulations = 1;
+        }
+        this.addRootNoise(root);
+        if (this.solve && this.args.exactSolver !== false && root.isExpanded() && !root.proven && !root.solveTried) {
+            this.applyExactSolver(root);
+        }
+
+        let firstRound = true;
+        while (simulations < this.args.numSimulations && !this.stopRequested && !root.proven
+               && (firstRound || performance.now() < deadline)) {
+            firstRound = false;
+            const leaves = [];
+            const budget = Math.min(batchSize, this.args.numSimulations - simulations);
+            let done = 0;
+
+            // 1. Select up to `budget` distinct leaves
+            while (done < budget) {
+                let node = root;
+                while (node.isExpanded() && !node.proven) node = this.materialize(this.select(node));
+
+                if (!node.proven) {
+                    const value = this.terminalValue(node);
+                    if (value !== null) {
+                        node.proven = { result: value, plies: 0 };
+                        this.propagateProof(node.parent);
+                    }
+                }
+                if (node.proven) {
+                    // Known result: no network call needed, back it up right away
+                    this.backpropagate(node, node.proven.result);
+                    done++;
+                    if (root.proven) break;
+                    continue;
+                }
+                // Collision with a leaf already queued in this batch: evaluate what we have
+                if (leaves.includes(node)) break;
+
+                this.applyVirtualLoss(node, +1);
+                leaves.push(node);
+                done++;
+            }
+
+            // 2. Expand & Evaluate (one evaluator call for the whole batch)
+            if (leaves.length > 0) {
+                const values = await this.expandBatch(leaves);
+
+                // 3. Backpropagate
+                leaves.forEach((node, i) => {
+                    this.applyVirtualLoss(node, -1);
+                    this.backpropagate(node, values[i]);
+                });
+            }
+
+            const prev = simulations;
+            simulations += done;
+            if (onProgress && Math.floor(simulations / progressInterval) > Math.floor(prev / progressInterval)) {
+                onProgress(simulations, this.summarize(root));
+                // Yield to the event loop so 'stop' / 'advance' messages can get through
+                await new Promise(r => setTimeout(r, 0));
+            }
+        }
+
+        return { ...this.summarize(root), root: root };
+    }
+
+    // Visited root children, most visited first, with the terms select() weighs:
+    //   q      mean value for the side to move at the root
+    //   u      exploration bonus c_puct * prior * sqrt(N) / (1 + n); puct = q + u
+    //   pv     principal variation: the move itself, then the most visited reply at each ply
+    //          (the proven move wherever the line is proven)
+    //   proven the move's proof for the side to move at the root, or null
+    // Proven moves are included even without visits; proven wins come first and proven losses last.
+    rootStats(root = this.root, pvDepth = 12) {
+        if (!root) return [];
+        const sqrtN = Math.sqrt(root.n);
+        const rank = (s) => (s.proven ? s.proven.result * 1000 - s.proven.result * s.proven.plies : 0);
+        return root.children
+            .filter(child => child.n > 0 || child.proven)
+            .map(child => {
+                const proven = child.proven ? proofFromChild(child.proven) : null;
+                const q = proven ? proven.result : -child.v / child.n;
+                const u = this.args.c_puct * child.prior * (sqrtN / (1 + child.n));
+                const pv = [];
+                for (let node = child; node && pv.length < pvDepth; ) {
+                    pv.push(node.actionTaken);
+                    const proof = node.proven && node.proven.result !== 0 ? this.provenMove(node) : null;
+                    node = proof !== null ? node.children.find(c => c.actionTaken === proof)
+                        : node.children.reduce((best, c) => (c.n > 0 && (!best || c.n > best.n) ? c : best), null);
+                }
+                return { action: child.actionTaken, visits: child.n, q, prior: child.prior, u, puct: q + u, pv, proven };
+            })
+            .sort((a, b) => rank(b) - rank(a) || b.visits - a.visits);
+    }
+
+    summarize(root) {
+        // Return visit counts, and the evaluator's own view of the root (priors before noise, value)
+        const counts = new Float32Array(this.game.actionSpace).fill(0);
+        const priors = new Float32Array(this.game.actionSpace).fill(0);
+        let sumCounts = 0;
+        for (const child of root.children) {
+            counts[child.actionTaken] = child.n;
+            priors[child.actionTaken] = child.rawPrior;
+            sumCounts += child.n;
+        }
+
+        // Winrate from root perspective (exact once the root is proven)
+        const winRate = ((root.proven ? root.proven.result : root.v / root.n) + 1) / 2;
+        const rawWinRate = root.rawValue === null ? null : (root.rawValue + 1) / 2;
+        const proven = root.proven ? { ...root.proven, action: this.provenMove(root) } : null;
+        return { actionCounts: counts, totalCounts: sumCounts, winRate: winRate, priors, rawWinRate, proven };
+    }
+}
+
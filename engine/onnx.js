@@ -0,0 +1,156 @@
+// SkyZero engine: ONNX Runtime evaluator for MCTS.
+// The runtime is passed in rather than imported, so the page / worker can use the CDN build
+// of onnxruntime-web and Node can use the npm package.
+
+import { transformPlanes } from './games.js';
+
+// Board symmetries a position is evaluated under (args.symmetry: 'none' | 'random' | 'all')
+function viewsFor(game, symmetry) {
+    const syms = game.getSymmetries();
+    if (symmetry === 'all') return syms;
+    if (symmetry === 'random') return [syms[Math.floor(Math.random() * syms.length)]];
+    return [syms[0]];
+}
+
+// Build an evaluate(batch, args) for MCTS from an InferenceSession with an `input` [N, C, H, W]
+// and `policy` [N, A] (logits) / `value` [N, 1] outputs. The whole batch is a single session.run.
+// With symmetry averaging every position contributes one sample per view; the policies are
+// mapped back to the original orientation and averaged together with the values.
+export function createOnnxEvaluator(ort, session, game) {
+    const dims = game.inputShape;
+    const sampleSize = dims[0] * dims[1] * dims[2];
+    const A = game.actionSpace;
+    const identity = game.getSymmetries()[0];
+
+    return async function evaluate(batch, args = {}) {
+        const views = batch.map(() => viewsFor(game, args.symmetry));
+        const total = views.reduce((sum, v) => sum + v.length, 0);
+
+        const input = new Float32Array(total * sampleSize);
+        let k = 0;
+        batch.forEach(({ state, toPlay }, i) => {
+            const encoded = game.encodeState(state, toPlay);
+            for (const sym of views[i]) {
+                // The identity needs no copy
+                input.set(sym === identity ? encoded : transformPlanes(encoded, sym.cells), k++ * sampleSize);
+            }
+        });
+
+        const tensor = new ort.Tensor('float32', input, [total, ...dims]);
+        const results = await session.run({ input: tensor });
+        const policyData = results.policy.data;
+        const valueData = results.value.data; // [-1, 1]
+
+        k = 0;
+        return batch.map((_, i) => {
+            if (views[i].length === 1 && views[i][0] === identity) {
+                const out = { policy: policyData.slice(k * A, (k + 1) * A), value: valueData[k] };
+                k++;
+                return out;
+            }
+            // Average the probabilities, then hand them back as log-probabilities
+            // (the softmax in MCTS turns them into the same distribution again)
+            const probs = new Float32Array(A);
+            let value = 0;
+            for (const sym of views[i]) {
+                const logits = policyData.subarray(k * A, (k + 1) * A);
+                let max = -Infinity;
+                for (let a = 0; a < A; a++) if (logits[a] > max) max = logits[a];
+                let sum = 0;
+                for (let a = 0; a < A; a++) sum += Math.exp(logits[a] - max);
+                // The output for original action a sits at the transformed index
+                for (let a = 0; a < A; a++) probs[a] += Math.exp(logits[sym.actions[a]] - max) / sum / views[i].length;
+                value += valueData[k] / views[i].length;
+                k++;
+            }
+            return { policy: probs.map(p => Math.log(Math.max(p, 1e-30))), value };
+        });
+    };
+}
+
+// ==========================================
+// Model metadata (ONNX protobuf)
+// ==========================================
+
+// onnxruntime-web 1.18 does not expose input / output shapes on the session, so read them from
+// the model file itself: ModelProto.graph(7) -> input(11) / output(12) ValueInfoProto
+// -> name(1), type(2).tensor_type(1).shape(2).dim(1) -> dim_value(1) | dim_param(2)
+function readProtoFields(bytes, start = 0, end = bytes.length) {
+    const fields = [];
+    let pos = start;
+    const varint = () => {
+        let result = 0, scale = 1, byte;
+        do {
+            if (pos >= end) throw new Error("Truncated ONNX model");
+            byte = bytes[pos++];
+            result += (byte & 0x7f) * scale;
+            scale *= 128;
+        } while (byte & 0x80);
+        return result;
+    };
+    while (pos < end) {
+        const key = varint();
+        const field = Math.floor(key / 8), wire = key & 7;
+        if (wire === 0) fields.push({ field, value: varint() });
+        else if (wire === 1) pos += 8;
+        else if (wire === 5) pos += 4;
+        else if (wire === 2) {
+            const len = varint();
+            fields.push({ field, start: pos, end: pos + len });
+            pos += len;
+        } else throw new Error(`Unsupported protobuf wire type ${wire} in ONNX model`);
+    }
+    return fields;
+}
+
+function readValueInfo(bytes, { start, end }) {
+    const info = { name: '', dims: null };
+    const sub = (f, n) => f.filter(x => x.field === n && x.start !== undefined);
+    const text = (f) => new TextDecoder().decode(bytes.subarray(f.start, f.end));
+    const fields = readProtoFields(bytes, start, end);
+    for (const f of sub(fields, 1)) info.name = text(f);
+    for (const type of sub(fields, 2)) {
+        for (const tensor of sub(readProtoFields(bytes, type.start, type.end), 1)) {
+            for (const shape of sub(readProtoFields(bytes, tensor.start, tensor.end), 2)) {
+                // Numbers for fixed dims, names (e.g. "batch") for symbolic ones, null if unspecified
+                info.dims = sub(readProtoFields(bytes, shape.start, shape.end), 1).map(dim => {
+                    const parts = readProtoFields(bytes, dim.start, dim.end);
+                    const value = parts.find(p => p.field === 1 && p.value !== undefined);
+                    const param = parts.find(p => p.field === 2 && p.start !== undefined);
+                    return value ? value.value : (param ? text(param) : null);
+                });
+            }
+        }
+    }
+    return info;
+}
+
+export function readModelIO(bytes) {
+    const graph = readProtoFields(bytes).find(f => f.field === 7 && f.start !== undefined);
+    if (!graph) throw new Error("Not an ONNX model (no graph found)");
+    const graphFields = readProtoFields(bytes, graph.start, graph.end);
+    return {
+        inputs: graphFields.filter(f => f.field === 11).map(f => readValueInfo(bytes, f)),
+        outputs: graphFields.filter(f => f.field === 12).map(f => readValueInfo(bytes, f)),
+    };
+}
+
+// Throw if the model's `input` / `policy` shapes do not fit the game declared in the registry.
+// Symbolic (named) dimensions are accepted as they are.
+export function checkModelShape(bytes, spec) {
+    const { inputs, outputs } = readModelIO(bytes);
+    const fits = (dims, expected) => dims && dims.length === expected.length
+        && dims.every((d, i) => typeof d !== 'number' || expected[i] === null || d === expected[i]);
+    const show = (dims) => `[${dims ? dims.map(d => d ?? '?').join(', ') : '?'}]`;
+
+    const input = inputs.find(i => i.name === 'input');
+    if (!input) throw new Error(`Model has no "input" tensor (found: ${inputs.map(i => i.name).join(', ')})`);
+    if (!fits(input.dims, [null, ...spec.inputShape])) {
+        throw new Error(`Model input is ${show(input.dims)} but ${spec.label} encodes [N, ${spec.inputShape.join(', ')}]`);
+    }
+    const policy = outputs.find(o => o.name === 'policy');
+    if (!policy) throw new Error(`Model has no "policy" output (found: ${outputs.map(o => o.name).join(', ')})`);
+    if (!fits(policy.dims, [null, spec.actionSpace])) {
+        throw new Error(`Model policy is ${show(policy.dims)} but ${spec.label} has ${spec.actionSpace} actions`);
+    }
+}
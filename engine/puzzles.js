@@ -0,0 +1,91 @@
+// SkyZero engine: "find the best move" puzzles taken from AI-vs-AI games. Only the selection
+// rules live here; the searches themselves are run by the caller (script.js, in the worker).
+//
+//   1. findPuzzleCandidates: positions of a finished game where the search's win rate swings
+//      sharply (the last move changed the game) and one move dominates the visit counts
+//   2. classifyPuzzle: a deeper search of a candidate decides whether it is a puzzle, and which
+//      moves solve it
+//        kind 'win'     the side to move wins with the dominant move (proven, or a high win rate)
+//        kind 'defend'  the position holds, but only with the dominant move (every other legal
+//                       move proven or clearly searched to lose)
+//   3. acceptsMove: a move outside the solutions still counts if the engine's search after it
+//      finds the mover just as well off
+//
+// Win rates are for the side to move, as MCTS.search reports them.
+
+export const PUZZLE_DEFAULTS = {
+    minSwing: 0.3,    // Win rate change over the last move that makes a position interesting
+    minShare: 0.6,    // Visit share the best move needs to count as dominant
+    winFrom: 0.85,    // Win rate from which the side to move counts as winning
+    holdFrom: 0.35,   // ... and below which the position counts as lost (nothing to defend)
+    maxSolutions: 2,  // A proven win with more winning moves than this is too easy
+    maxPerGame: 2,    // Candidates kept per game (largest swings first)
+    minVisits: 20,    // Visits a move needs before its win rate can show it loses (unproven defences)
+};
+
+// The most visited move and its share of all visits
+export function dominantMove(actionCounts) {
+    let action = -1, best = 0, total = 0;
+    for (let a = 0; a < actionCounts.length; a++) {
+        total += actionCounts[a];
+        if (actionCounts[a] > best) {
+            best = actionCounts[a];
+            action = a;
+        }
+    }
+    return { action, share: total > 0 ? best / total : 0 };
+}
+
+// Positions of one game worth a closer look, largest swing first: [{ index, swing }].
+// `line[i]` is { winRate, actionCounts, proven } of the search from the i-th position, or null
+// where there was none (e.g. the final position).
+export function findPuzzleCandidates(line, options = {}) {
+    const opts = { ...PUZZLE_DEFAULTS, ...options };
+    const found = [];
+    for (let i = 1; i < line.length; i++) {
+        const prev = line[i - 1], cur = line[i];
+        if (!prev || !cur) continue;
+        // Both seen from the side to move at i (the previous search was the opponent's)
+        const swing = Math.abs(cur.winRate - (1 - prev.winRate));
+        // A proven win needs no dominant move (the solver may settle it before any visits are spread)
+        const focused = cur.proven ? cur.proven.result === 1 : dominantMove(cur.actionCounts).share >= opts.minShare;
+        if (swing >= opts.minSwing && focused) found.push({ index: i, swing });
+    }
+    return found.sort((a, b) => b.swing - a.swing).slice(0, opts.maxPerGame);
+}
+
+// Decide from a (deeper) search result ({ winRate, actionCounts, stats, proven }) whether the
+// position is a puzzle: { kind, solutions, winRate } or null. `validMoves` are the position's
+// legal moves: stats only lists the moves the search visited or proved.
+export function classifyPuzzle(result, validMoves, options = {}) {
+    const opts = { ...PUZZLE_DEFAULTS, ...options };
+    const stats = result.stats || [];
+    // Every legal move but `action` loses: proven to, or (`searched`) visited at least minVisits
+    // times with a win rate below holdFrom (q is in [-1, 1] for the mover)
+    const othersLose = (action, searched) => validMoves.every(a => a === action || stats.some(s => s.action === a
+        && (s.proven ? s.proven.result === -1 : searched && s.visits >= opts.minVisits && (s.q + 1) / 2 < opts.holdFrom)));
+    if (result.proven) {
+        // Exact (MCTS-solver / endgame solver): the solutions are the moves with the root's result
+        if (result.proven.result === -1) return null; // Lost whatever is played
+        const solutions = stats.filter(s => s.proven && s.proven.result === result.proven.result).map(s => s.action);
+        if (result.proven.result === 1) {
+            return solutions.length <= opts.maxSolutions ? { kind: 'win', solutions, winRate: 1 } : null;
+        }
+        // A draw is a defence only if every other legal move is proven to lose
+        return solutions.length === 1 && othersLose(solutions[0], false) ? { kind: 'defend', solutions, winRate: 0.5 } : null;
+    }
+    const { action, share } = dominantMove(result.actionCounts);
+    if (share < opts.minShare || result.winRate < opts.holdFrom) return null;
+    if (result.winRate >= opts.winFrom) return { kind: 'win', solutions: [action], winRate: result.winRate };
+    // Without a proof a defence still has to be the only one
+    return othersLose(action, true) ? { kind: 'defend', solutions: [action], winRate: result.winRate } : null;
+}
+
+// Whether a move outside puzzle.solutions also solves it, judged by the search from the position
+// after it (`reply`, for the opponent to move)
+export function acceptsMove(puzzle, reply, options = {}) {
+    const opts = { ...PUZZLE_DEFAULTS, ...options };
+    if (reply.proven) return puzzle.kind === 'win' ? reply.proven.result === -1 : reply.proven.result <= 0;
+    const winRate = 1 - reply.winRate; // For the mover
+    return winRate >= (puzzle.kind === 'win' ? opts.winFrom : opts.holdFrom);
+}
@@ -0,0 +1,107 @@
+// SkyZero engine: game registry. Every game is declared once here; the page (tabs, boards,
+// analysis panel), the worker (model loading) and the CLI are all driven by this list.
+// Adding a game means writing its rules class and adding an entry below.
+//
+//   id           short key used in messages, URLs and DIFFICULTY_PRESETS
+//   label        tab caption
+//   rows, cols   board geometry
+//   actionSpace  policy size: one action per cell, or per column for drop games
+//   historyStep  board planes of history kept in the state / network input
+//   inputShape   network input per sample [C, H, W]; checked against the model when it loads
+//   modelUrl     ONNX model, relative to the page (and to cli.js)
+//   modelVersion bump whenever the model file is replaced: the page requests the model as
+//                modelRequestUrl(spec), and the copies kept offline are dropped on a mismatch
+//   renderer     board renderer in script.js: 'marks' | 'columns' | 'stones'
+//   policyView   analysis view in script.js: 'heatmap' (per cell) | 'bars' (per column)
+//   recordName   [Game "..."] tag of its records; recordExt: download file extension
+//   ruleSets     optional { rule: label } passed to the rules class as { rule }; the first is the default
+//   openings     optional { opening: label } opening protocols offered in play mode
+//   heuristic    model-free evaluator in engine/evaluators.js: 'windows' | 'threats';
+//                winLength: stones in a row that win (the length of the windows it scans)
+//   solver       optional exact endgame solver (engine/solver.js): used once at most `maxEmpty`
+//                cells are empty, giving up after `maxNodes` nodes
+//   puzzles      offer puzzle mode (engine/puzzles.js); puzzles are collected from AI-vs-AI games
+
+import { TicTacToe, Connect4, Gomoku } from './games.js';
+
+export const GAME_REGISTRY = [
+    {
+        id: 'ttt',
+        label: '井字棋 (Tic-Tac-Toe)',
+        GameClass: TicTacToe,
+        rows: 3, cols: 3,
+        actionSpace: 9,
+        historyStep: 3,
+        inputShape: [7, 3, 3],
+        modelUrl: 'tictactoe.onnx',
+        modelVersion: 1,
+        renderer: 'marks',
+        policyView: 'heatmap',
+        recordName: 'TicTacToe', recordExt: 'txt',
+        heuristic: 'windows', winLength: 3,
+        solver: { maxEmpty: 9, maxNodes: 300000 }, // The whole game
+    },
+    {
+        id: 'c4',
+        label: '四子棋 (Connect 4)',
+        GameClass: Connect4,
+        rows: 6, cols: 7,
+        actionSpace: 7,
+        historyStep: 3,
+        inputShape: [7, 6, 7],
+        modelUrl: 'connect4.onnx',
+        modelVersion: 1,
+        renderer: 'columns',
+        policyView: 'bars',
+        recordName: 'Connect4', recordExt: 'txt',
+        heuristic: 'windows', winLength: 4,
+        solver: { maxEmpty: 16, maxNodes: 200000 },
+        puzzles: true,
+    },
+    {
+        id: 'gomoku',
+        label: '五子棋 (9x9 Gomoku)',
+        GameClass: Gomoku,
+        rows: 9, cols: 9,
+        actionSpace: 81,
+        historyStep: 4,
+        inputShape: [9, 9, 9],
+        modelUrl: 'gomoku.onnx',
+        modelVersion: 1,
+        renderer: 'stones',
+        policyView: 'heatmap',
+        recordName: 'Gomoku', recordExt: 'sgf',
+        heuristic: 'threats', winLength: 5,
+        ruleSets: { freestyle: 'Freestyle (5+)', standard: 'Standard (exactly 5)', renju: 'Renju' },
+        openings: { normal: 'Normal', swap2: 'Swap2' },
+        puzzles: true,
+    },
+];
+
+export function getGameSpec(id) {
+    const spec = GAME_REGISTRY.find(s => s.id === id);
+    if (!spec) throw new Error(`Unknown game type: ${id} (expected ${GAME_REGISTRY.map(s => s.id).join(', ')})`);
+    return spec;
+}
+
+// The model URL with its version, so a replaced model never comes out of an HTTP or service worker cache
+export function modelRequestUrl(spec) {
+    return `${spec.modelUrl}?v=${spec.modelVersion}`;
+}
+
+export function findGameByRecordName(recordName) {
+    return GAME_REGISTRY.find(s => s.recordName === recordName) || null;
+}
+
+// Instantiate the rules for `id` (`options` e.g. { rule: 'renju' }). The declaration and the
+// rules class must agree, otherwise the network input or the records would be silently wrong.
+export function createGame(id, options = {}) {
+    const spec = getGameSpec(id);
+    const game = new spec.GameClass(options);
+    for (const key of ['rows', 'cols', 'actionSpace', 'historyStep', 'recordName', 'inputShape']) {
+        if (String(game[key]) !== String(spec[key])) {
+            throw new Error(`${spec.label}: ${key} is declared as ${spec[key]} but the rules use ${game[key]}`);
+        }
+    }
+    return game;
+}
@@ -0,0 +1,102 @@
+// SkyZero engine: exact alpha-beta solver for small positions. Complete for Tic-Tac-Toe; for
+// Connect 4 it takes over once few empty cells remain (registry `solver.maxEmpty`).
+//
+// Results use the MCTS-solver convention (see mcts.js):
+//   result  1 / 0 / -1 for the side to move (win / draw / loss with best play)
+//   plies   moves until the game ends: the fastest win, the slowest loss
+
+const WIN = 10000; // Score of a win right now; every ply to the end costs one point
+
+// Search budget ran out: the position is too big to solve
+class BudgetExceeded extends Error {}
+
+// Scores are from the side to move, relative to the node: WIN - plies / -(WIN - plies) / 0
+const toProof = (score) => score === 0
+    ? { result: 0, plies: 0 }
+    : { result: Math.sign(score), plies: WIN - Math.abs(score) };
+
+// A child's score seen from its parent, one ply further away
+const fromChild = (score) => score === 0 ? 0 : -(score - Math.sign(score));
+
+// The inverse: which child scores map into the parent window (alpha, beta)
+const toChild = (score) => (Math.abs(score) >= WIN ? -score : score === 0 ? 0 : -(score + Math.sign(score)));
+
+function emptyCells(game, state) {
+    const board = game._getBoard(state, game.historyStep - 1);
+    let n = 0;
+    for (let i = 0; i < board.length; i++) if (board[i] === 0) n++;
+    return n;
+}
+
+// Central moves first: they take part in the most lines, so cutoffs come early
+function moveOrder(game) {
+    const drop = game.actionSpace !== game.rows * game.cols;
+    const dist = (a) => drop
+        ? Math.abs(a - (game.cols - 1) / 2)
+        : Math.abs(Math.floor(a / game.cols) - (game.rows - 1) / 2) + Math.abs(a % game.cols - (game.cols - 1) / 2);
+    return (a, b) => dist(a) - dist(b);
+}
+
+// Exact value of every legal move in `state`: [{ action, result, plies }] with result / plies for
+// the side making the move (its win, draw or loss; plies counted from `state`), best first.
+// Returns null when the search needs more than `maxNodes` nodes.
+export function solveMoves(game, state, toPlay, { maxNodes = 300000 } = {}) {
+    // Bounds per position: the current board and side to move (history planes do not change the outcome)
+    const table = new Map();
+    const order = moveOrder(game);
+    let nodes = 0;
+
+    function negamax(state, toPlay, alpha, beta) {
+        if (++nodes > maxNodes) throw new BudgetExceeded();
+        const winner = game.checkWin(state);
+        if (winner !== null) return winner === 0 ? 0 : (winner === toPlay ? WIN : -WIN);
+
+        const board = game._getBoard(state, game.historyStep - 1);
+        const key = game.hashState(board, toPlay);
+        const entry = table.get(key);
+        if (entry) {
+            if (entry.lower >= beta) return entry.lower;
+            if (entry.upper <= alpha) return entry.upper;
+            alpha = Math.max(alpha, entry.lower);
+            beta = Math.min(beta, entry.upper);
+            if (alpha >= beta) return alpha; // Known exactly
+        }
+        const alphaIn = alpha, betaIn = beta; // The window actually searched
+
+        let best = -Infinity;
+        for (const action of game.getValidMoves(state).sort(order)) {
+            const next = game.getNextState(state, action, toPlay);
+            // Window for the child: the parent scores it as fromChild(child)
+            const score = fromChild(negamax(next, -toPlay, toChild(beta), toChild(alpha)));
+            if (score > best) best = score;
+            if (best > alpha) alpha = best;
+            if (alpha >= beta) break;
+        }
+
+        const bounds = entry || { lower: -Infinity, upper: Infinity };
+        if (best <= alphaIn) bounds.upper = Math.min(bounds.upper, best);
+        else if (best >= betaIn) bounds.lower = Math.max(bounds.lower, best);
+        else bounds.lower = bounds.upper = best;
+        table.set(key, bounds);
+        return best;
+    }
+
+    try {
+        const moves = game.getValidMoves(state).sort(order).map(action => {
+            const next = game.getNextState(state, action, toPlay);
+            const score = fromChild(negamax(next, -toPlay, -Infinity, Infinity));
+            return { action, ...toProof(score) };
+        });
+        // Best first: wins (fastest first), then draws, then losses (slowest first)
+        return moves.sort((a, b) => b.result - a.result || (a.result >= 0 ? a.plies - b.plies : b.plies - a.plies));
+    } catch (err) {
+        if (err instanceof BudgetExceeded) return null;
+        throw err;
+    }
+}
+
+// Solver for MCTS (see MCTS.solve): (state, toPlay) -> solveMoves(...) | null, trying only
+// positions with at most `maxEmpty` empty cells
+export function createExactSolver(game, { maxEmpty = Infinity, maxNodes = 300000 } = {}) {
+    return (state, toPlay) => (emptyCells(game, state) > maxEmpty ? null : solveMoves(game, state, toPlay, { maxNodes }));
+}
@@ -1,818 +1,2577 @@
+import { GAME_REGISTRY, getGameSpec, findGameByRecordName, createGame, chooseAction, detectRecordGame, modelRequestUrl, findPuzzleCandidates, classifyPuzzle, acceptsMove } from './engine/index.js';
+
 // ==========================================
 // 0. MCTS Configuration (在这里修改参数)
 // ==========================================
 
-// Configure ONNX Runtime WASM paths to ensure version match
-ort.env.wasm.wasmPaths = "https://cdn.jsdelivr.net/npm/onnxruntime-web@1.18.0/dist/";
-
 const MCTS_CONFIG = {
-    numSimulations: 400,  // MCTS 模拟次数 (建议: TTT=100, C4=400, Gomoku=800)
     c_puct: 1.4,          // 探索系数
+    batchSize: 8,         // 每次 session.run 评估的叶子数 (virtual loss 批量搜索)
+    virtualLoss: 1,       // 批量选择时施加在路径上的虚拟损失
+    progressInterval: 50, // 每隔多少次模拟回报一次进度
+    symmetry: 'none',     // 对称评估: 'none' 单一视角 | 'random' 随机对称 | 'all' 全部对称取平均
+    exactSolver: true,    // 残局精确求解 (alpha-beta): 井字棋全程, 四子棋空格较少时 (见 registry 的 solver); 对弈时由难度预设决定
 };
 
-// ==========================================
-// 1. Game Logic Engines (核心规则)
-// ==========================================
+// 难度预设 (按游戏区分). 与 MCTS_CONFIG 合并后发送给 worker.
+//   numSimulations   - MCTS 模拟次数 (最高难度: TTT=100, C4=400, Gomoku=800)
+//   temperature      - 落子温度, 0 = 总是选访问次数最多的点, 越大越随机
+//   dirichletEpsilon - 根节点先验中 Dirichlet 噪声的比例 (0 = 关闭)
+//   dirichletAlpha   - Dirichlet 分布参数, 合法着法越多取值越小
+//   blunderRate      - 故意下出随机非最佳着法的概率
+//   exactSolver      - 是否用精确求解器并直接走出已证明的着法 (入门 / 普通关闭, 否则这两档会下出完美着法)
+const DIFFICULTY_PRESETS = {
+    ttt: {
+        easy:   { numSimulations: 10,  temperature: 1.0, dirichletEpsilon: 0.25, dirichletAlpha: 1.0, blunderRate: 0.3,  exactSolver: false },
+        normal: { numSimulations: 30,  temperature: 0.5, dirichletEpsilon: 0.25, dirichletAlpha: 1.0, blunderRate: 0.1,  exactSolver: false },
+        hard:   { numSimulations: 60,  temperature: 0.2, dirichletEpsilon: 0,    dirichletAlpha: 1.0, blunderRate: 0,    exactSolver: true  },
+        master: { numSimulations: 100, temperature: 0,   dirichletEpsilon: 0,    dirichletAlpha: 1.0, blunderRate: 0,    exactSolver: true  },
+    },
+    c4: {
+        easy:   { numSimulations: 50,  temperature: 1.0, dirichletEpsilon: 0.25, dirichletAlpha: 1.0, blunderRate: 0.25, exactSolver: false },
+        normal: { numSimulations: 150, temperature: 0.5, dirichletEpsilon: 0.25, dirichletAlpha: 1.0, blunderRate: 0.05, exactSolver: false },
+        hard:   { numSimulations: 300, temperature: 0.2, dirichletEpsilon: 0,    dirichletAlpha: 1.0, blunderRate: 0,    exactSolver: true  },
+        master: { numSimulations: 400, temperature: 0,   dirichletEpsilon: 0,    dirichletAlpha: 1.0, blunderRate: 0,    exactSolver: true  },
+    },
+    gomoku: {
+        easy:   { numSimulations: 100, temperature: 1.0, dirichletEpsilon: 0.25, dirichletAlpha: 0.3, blunderRate: 0.2,  exactSolver: false },
+        normal: { numSimulations: 300, temperature: 0.5, dirichletEpsilon: 0.25, dirichletAlpha: 0.3, blunderRate: 0.05, exactSolver: false },
+        hard:   { numSimulations: 600, temperature: 0.2, dirichletEpsilon: 0,    dirichletAlpha: 0.3, blunderRate: 0,    exactSolver: true  },
+        master: { numSimulations: 800, temperature: 0,   dirichletEpsilon: 0,    dirichletAlpha: 0.3, blunderRate: 0,    exactSolver: true  },
+    },
+};
 
-class AbstractGame {
-    getInitialState() { throw new Error("Not implemented"); }
-    getNextState(state, action, toPlay) { throw new Error("Not implemented"); }
-    getValidMoves(state) { throw new Error("Not implemented"); }
-    checkWin(state) { throw new Error("Not implemented"); }
-    encodeState(state, toPlay) { throw new Error("Not implemented"); }
-    // Helper: Extract current board (last plane) from state history stack
-    _getBoard(state, stepIndex) { throw new Error("Not implemented"); }
-}
+// 计时方式 (秒). increment > 0 为 Fischer 加秒制, 否则为包干 (sudden death)
+const TIME_CONTROLS = {
+    none: null,
+    sd1:  { base: 60,  increment: 0 },
+    sd3:  { base: 180, increment: 0 },
+    sd5:  { base: 300, increment: 0 },
+    f1p2: { base: 60,  increment: 2 },
+    f3p2: { base: 180, increment: 2 },
+    f5p3: { base: 300, increment: 3 },
+};
 
-class TicTacToe extends AbstractGame {
-    constructor() {
-        super();
-        this.boardSize = 9;
-        this.actionSpace = 9;
-        this.historyStep = 3;
-        this.row = 3; this.col = 3;
-    }
+// 评估函数 (worker 中的 MCTS 叶子估值). 模型加载失败时自动降级为 'heuristic'
+//   network   - ONNX 神经网络
+//   heuristic - 手写启发式 (四子棋: 开放窗口, 五子棋: 威胁计数), 无需模型
+//   rollout   - 均匀先验 + 随机走子到终局, 无需模型
+const EVALUATOR_LABELS = {
+    network:   { name: 'neural network', value: 'Value Head Output' },
+    heuristic: { name: 'heuristic',      value: 'Heuristic Estimate' },
+    rollout:   { name: 'random rollout', value: 'Rollout Average' },
+};
 
-    getInitialState() {
-        // Shape: [historyStep, 3, 3] flattened -> historyStep * 9
-        return new Float32Array(this.historyStep * 9).fill(0);
-    }
+// 估值缓存 (worker 中按局面 Zobrist 哈希缓存评估结果)
+const CACHE_CONFIG = {
+    size: 50000,           // LRU 缓存的局面数上限
+    openingPlies: 8,       // 棋子数不超过此值的局面视为开局, 神经网络的评估结果写入 IndexedDB
+    persistOpenings: true, // 是否保存 / 预加载开局缓存 (按模型内容区分, 换模型后自动失效)
+};
 
-    _getBoard(state, stepIndex) {
-        const offset = stepIndex * 9;
-        return state.subarray(offset, offset + 9);
-    }
+// Swap2 开局中 SkyZero 的搜索设置
+const SWAP2_CONFIG = {
+    candidates: 6,         // 作为开局方时评估的候选三子开局数
+    openingSimulations: 96, // 评估每个候选开局的模拟次数 (选胜率最接近 50% 的)
+};
 
-    getNextState(state, action, toPlay) {
-        const newState = new Float32Array(state.length);
-        const bs = 9;
-        // Shift history: 0<-1, 1<-2
-        for (let i = 0; i < this.historyStep - 1; i++) {
-            newState.set(state.subarray((i + 1) * bs, (i + 2) * bs), i * bs);
-        }
-        // Copy last to new current
-        const lastStart = (this.historyStep - 1) * bs;
-        newState.set(state.subarray(lastStart, lastStart + bs), lastStart);
-        // Apply move
-        newState[lastStart + action] = toPlay;
-        return newState;
-    }
-
-    getValidMoves(state) {
-        const moves = [];
-        const board = this._getBoard(state, this.historyStep - 1);
-        for (let i = 0; i < 9; i++) if (board[i] === 0) moves.push(i);
-        return moves;
-    }
-
-    checkWin(state) {
-        const board = this._getBoard(state, this.historyStep - 1);
-        const lines = [
-            [0,1,2],[3,4,5],[6,7,8], // Rows
-            [0,3,6],[1,4,7],[2,5,8], // Cols
-            [0,4,8],[2,4,6]          // Diags
-        ];
-        for (const line of lines) {
-            const sum = board[line[0]] + board[line[1]] + board[line[2]];
-            if (sum === 3) return 1;
-            if (sum === -3) return -1;
-        }
-        for(let i=0; i<9; i++) if(board[i]===0) return null; // Not full
-        return 0; // Draw
-    }
-
-    encodeState(state, toPlay) {
-        // [1, 2*hist+1, 3, 3]
-        const numPlanes = 2 * this.historyStep + 1;
-        const input = new Float32Array(numPlanes * 9);
-        for (let i = 0; i < this.historyStep; i++) {
-            const board = this._getBoard(state, i);
-            const p1 = (2 * i) * 9;
-            const p2 = (2 * i + 1) * 9;
-            for (let j = 0; j < 9; j++) {
-                if (board[j] === toPlay) input[p1 + j] = 1;
-                else if (board[j] === -toPlay) input[p2 + j] = 1;
-            }
-        }
-        const c = (2 * this.historyStep) * 9;
-        const val = toPlay > 0 ? 1 : 0;
-        for (let j = 0; j < 9; j++) input[c + j] = val;
-        return input;
-    }
-}
+// 胜率曲线
+const TIMELINE_CONFIG = {
+    backgroundSimulations: 64, // 轮到用户时对当前局面做的短搜索 (让曲线不缺人类落子前的点)
+    blunderDrop: 0.2,          // 一步棋让走棋方胜率下降超过此值即标为失误
+};
 
-class Connect4 extends AbstractGame {
-    constructor() {
-        super();
-        this.rows = 6; this.cols = 7;
-        this.boardSize = 42;
-        this.actionSpace = 7;
-        this.historyStep = 3;
-    }
+// 提示 (替用户搜索当前局面, 不落子)
+const HINT_CONFIG = {
+    level: 'master', // 提示搜索使用的 DIFFICULTY_PRESETS 难度 (不加噪声, 不故意失误)
+    topMoves: 3,     // 勾选 "Top 3" 时标出的候选着法数
+};
 
-    getInitialState() { return new Float32Array(this.historyStep * 42).fill(0); }
-    
-    _getBoard(state, stepIndex) {
-        const offset = stepIndex * 42;
-        return state.subarray(offset, offset + 42);
-    }
+// 分析模式 (双方都由用户落子, 后台持续搜索当前局面)
+const ANALYSIS_CONFIG = {
+    refreshInterval: 200,   // 每隔多少次模拟刷新一次胜率条和热力图 (搜索不设上限, 直到局面改变)
+    candidateRows: 10,      // 候选着法表最多显示的行数
+};
 
-    getNextState(state, action, toPlay) {
-        const newState = new Float32Array(state.length);
-        const bs = 42;
-        for (let i = 0; i < this.historyStep - 1; i++) {
-            newState.set(state.subarray((i + 1) * bs, (i + 2) * bs), i * bs);
-        }
-        const lastStart = (this.historyStep - 1) * bs;
-        newState.set(state.subarray(lastStart, lastStart + bs), lastStart);
-        
-        // Apply gravity
-        for (let r = this.rows - 1; r >= 0; r--) {
-            const idx = lastStart + r * this.cols + action;
-            if (newState[idx] === 0) {
-                newState[idx] = toPlay;
-                break;
-            }
-        }
-        return newState;
-    }
+// 谜题模式 (局面取自 AI 对局; 挑选阈值见 engine/puzzles.js 的 PUZZLE_DEFAULTS)
+const PUZZLE_CONFIG = {
+    verifySimulations: 1200, // 复查候选局面、检查用户着法时的搜索次数 (不加噪声)
+    playoutPlies: 4,         // 用户落子后引擎演示的后续步数 (续着或反驳)
+    playoutDelay: 600,       // 演示时每步的间隔 (ms)
+};
 
-    getValidMoves(state) {
-        const moves = [];
-        const board = this._getBoard(state, this.historyStep - 1);
-        for (let c = 0; c < this.cols; c++) {
-            if (board[c] === 0) moves.push(c); // Check top row
-        }
-        return moves;
-    }
+function getSearchConfig() {
+    return { ...MCTS_CONFIG, ...DIFFICULTY_PRESETS[activeGameType][difficulty] };
+}
 
-    checkWin(state) {
-        const board = this._getBoard(state, this.historyStep - 1);
-        const get = (r, c) => board[r * 7 + c];
-        
-        // Directions: Horizontal, Vertical, Diag1, Diag2
-        const check = (r, c, dr, dc) => {
-            const val = get(r, c);
-            if (val === 0) return false;
-            for (let k = 1; k < 4; k++) {
-                const nr = r + dr * k, nc = c + dc * k;
-                if (nr < 0 || nr >= 6 || nc < 0 || nc >= 7 || get(nr, nc) !== val) return false;
-            }
-            return true;
-        };
+// ==========================================
+// 3. UI & Interaction Logic
+// ==========================================
 
-        for (let r = 0; r < 6; r++) {
-            for (let c = 0; c < 7; c++) {
-                if (c <= 3 && check(r, c, 0, 1)) return get(r, c);
-                if (r <= 2 && check(r, c, 1, 0)) return get(r, c);
-                if (r <= 2 && c <= 3 && check(r, c, 1, 1)) return get(r, c);
-                if (r <= 2 && c >= 3 && check(r, c, 1, -1)) return get(r, c);
-            }
-        }
-        for(let i=0; i<42; i++) if(board[i]===0) return null;
-        return 0;
-    }
-
-    encodeState(state, toPlay) {
-        const bs = 42;
-        const numPlanes = 2 * this.historyStep + 1;
-        const input = new Float32Array(numPlanes * bs);
-        for (let i = 0; i < this.historyStep; i++) {
-            const board = this._getBoard(state, i);
-            const p1 = (2 * i) * bs;
-            const p2 = (2 * i + 1) * bs;
-            for (let j = 0; j < bs; j++) {
-                if (board[j] === toPlay) input[p1 + j] = 1;
-                else if (board[j] === -toPlay) input[p2 + j] = 1;
-            }
-        }
-        const c = (2 * this.historyStep) * bs;
-        const val = toPlay > 0 ? 1 : 0;
-        for (let j = 0; j < bs; j++) input[c + j] = val;
-        return input;
-    }
-}
+let gameEngine = null; // TicTacToe / Connect4 / Gomoku instance (rules only, search runs in worker)
+let gameSpec = null; // Registry entry (engine/registry.js) of the active game
+let gameState = null; // Current big state (Float32Array with history), mirrors currentNode.state
+let playerSide = 'first'; // 'first' (1) or 'second' (-1)
+let difficulty = 'master'; // Key into DIFFICULTY_PRESETS[activeGameType]
+let currentToPlay = 1; // 1 (Black/First) or -1 (White/Second), mirrors currentNode.toPlay
+let isAiThinking = false;
+let activeGameType = 'ttt';
+let aiStartTimer = null; // Pending "AI moves first" kick-off from resetGame
+let evaluatorChoice = 'network'; // Selected evaluator; the worker may fall back when there is no model
 
-class Gomoku extends AbstractGame {
-    constructor() {
-        super();
-        this.size = 9;
-        this.boardSize = 81;
-        this.actionSpace = 81;
-        this.historyStep = 4;
-    }
+// DOM Elements
+const uiBoard = document.getElementById('board'); // Filled by the active game's renderer
+const uiLoading = document.getElementById('loading-overlay');
+const uiStatus = document.getElementById('status-bar');
+const uiWinRateBar = document.getElementById('winrate-bar');
+const uiWinRateText = document.getElementById('winrate-text');
+const uiInferenceTime = document.getElementById('inference-time');
+const uiCacheHitRate = document.getElementById('cache-hit-rate');
 
-    getInitialState() { return new Float32Array(this.historyStep * 81).fill(0); }
-    _getBoard(state, stepIndex) {
-        const offset = stepIndex * 81;
-        return state.subarray(offset, offset + 81);
-    }
+// ==========================================
+// AI Worker Client
+// ==========================================
 
-    getNextState(state, action, toPlay) {
-        const newState = new Float32Array(state.length);
-        const bs = 81;
-        for (let i = 0; i < this.historyStep - 1; i++) {
-            newState.set(state.subarray((i + 1) * bs, (i + 2) * bs), i * bs);
-        }
-        const last = (this.historyStep - 1) * bs;
-        newState.set(state.subarray(last, last + bs), last);
-        newState[last + action] = toPlay;
-        return newState;
-    }
+const aiWorker = new Worker('worker.js', { type: 'module' });
+const pendingRequests = new Map(); // id -> { resolve, reject, onProgress }
+let nextRequestId = 1;
 
-    getValidMoves(state) {
-        const moves = [];
-        const board = this._getBoard(state, this.historyStep - 1);
-        for (let i = 0; i < 81; i++) if (board[i] === 0) moves.push(i);
-        return moves;
-    }
+aiWorker.onmessage = (e) => {
+    const msg = e.data;
+    const req = pendingRequests.get(msg.id);
+    if (!req) return;
 
-    checkWin(state) {
-        const board = this._getBoard(state, this.historyStep - 1);
-        const S = 9;
-        const get = (r, c) => (r < 0 || r >= S || c < 0 || c >= S) ? 0 : board[r * S + c];
-        
-        for (let r = 0; r < S; r++) {
-            for (let c = 0; c < S; c++) {
-                const p = get(r, c);
-                if (p === 0) continue;
-                const dirs = [[0,1], [1,1], [1,0], [1,-1]];
-                for (const [dr, dc] of dirs) {
-                    let match = true;
-                    for (let k = 1; k < 5; k++) if (get(r + dr * k, c + dc * k) !== p) { match = false; break; }
-                    if (match) return p;
-                }
-            }
-        }
-        for(let i=0; i<81; i++) if(board[i]===0) return null;
-        return 0;
-    }
-
-    encodeState(state, toPlay) {
-        const bs = 81;
-        const numPlanes = 2 * this.historyStep + 1;
-        const input = new Float32Array(numPlanes * bs);
-        for (let i = 0; i < this.historyStep; i++) {
-            const board = this._getBoard(state, i);
-            const p1 = (2 * i) * bs;
-            const p2 = (2 * i + 1) * bs;
-            for (let j = 0; j < bs; j++) {
-                if (board[j] === toPlay) input[p1 + j] = 1;
-                else if (board[j] === -toPlay) input[p2 + j] = 1;
-            }
-        }
-        const c = (2 * this.historyStep) * bs;
-        const val = toPlay > 0 ? 1 : 0;
-        for (let j = 0; j < bs; j++) input[c + j] = val;
-        return input;
+    if (msg.type === 'progress') {
+        if (req.onProgress) req.onProgress(msg);
+        return;
     }
+    pendingRequests.delete(msg.id);
+    if (msg.type === 'error') req.reject(new Error(msg.message));
+    else req.resolve(msg);
+};
+
+aiWorker.onerror = (e) => {
+    // Script-level failure (e.g. ORT could not be loaded): fail everything in flight
+    const err = new Error(e.message || "AI worker crashed");
+    for (const req of pendingRequests.values()) req.reject(err);
+    pendingRequests.clear();
+};
+
+// Fire-and-forget messages (no id, no reply)
+function postToWorker(type, payload = {}) {
+    aiWorker.postMessage({ type, ...payload });
+}
+
+// The returned promise carries the request `id` (needed to 'stop' a search)
+function callWorker(type, payload = {}, onProgress = null) {
+    const id = nextRequestId++;
+    const promise = new Promise((resolve, reject) => {
+        pendingRequests.set(id, { resolve, reject, onProgress });
+        aiWorker.postMessage({ id, type, ...payload });
+    });
+    promise.id = id;
+    return promise;
 }
 
 // ==========================================
-// 2. MCTS Engine (核心算法)
+// Game Clock
 // ==========================================
 
-class Node {
-    constructor(state, toPlay, prior = 0, parent = null, actionTaken = null) {
-        this.state = state;
-        this.toPlay = toPlay;
-        this.prior = prior;
-        this.parent = parent;
-        this.actionTaken = actionTaken;
-        this.children = [];
-        this.v = 0;
-        this.n = 0;
-    }
-    isExpanded() { return this.children.length > 0; }
-    update(value) { this.v += value; this.n += 1; }
-}
-
-class MCTS {
-    constructor(game, session, args) {
-        this.game = game;
-        this.session = session;
-        this.args = args;
-    }
-
-    select(node) {
-        let bestScore = -Infinity;
-        let bestChild = null;
-        for (const child of node.children) {
-            const q = child.n > 0 ? -child.v / child.n : 0;
-            const u = this.args.c_puct * child.prior * (Math.sqrt(node.n) / (1 + child.n));
-            const score = q + u;
-            if (score > bestScore) { bestScore = score; bestChild = child; }
-        }
-        return bestChild;
-    }
+let timeControl = null;           // Entry of TIME_CONTROLS, null = untimed
+let clocks = { 1: 0, [-1]: 0 };   // Remaining ms per side (excluding the running turn)
+let clockSide = null;             // Side whose clock is running, null = stopped
+let clockStartedAt = 0;
+let clockTimer = null;
+let timeoutLoser = null;          // Side that lost on time, null = nobody
+let clockHeld = false;            // Stopped while the user browses to SkyZero's turn (see holdClock)
+
+function getRemainingMs(side) {
+    const elapsed = side === clockSide ? performance.now() - clockStartedAt : 0;
+    return Math.max(0, clocks[side] - elapsed);
+}
 
-    async expand(node) {
-        const encoded = this.game.encodeState(node.state, node.toPlay);
-        
-        // Define Input Shapes
-        let dims;
-        if (this.game instanceof TicTacToe) dims = [1, 7, 3, 3];
-        else if (this.game instanceof Connect4) dims = [1, 7, 6, 7];
-        else if (this.game instanceof Gomoku) dims = [1, 9, 9, 9];
-
-        const tensor = new ort.Tensor('float32', encoded, dims);
-        const results = await this.session.run({ input: tensor });
-        
-        const policyLogits = results.policy.data;
-        const value = results.value.data[0]; // [-1, 1]
-
-        // Mask & Softmax
-        const legalMoves = this.game.getValidMoves(node.state);
-        let maxLogit = -Infinity;
-        for (const move of legalMoves) if (policyLogits[move] > maxLogit) maxLogit = policyLogits[move];
-
-        let sumExp = 0;
-        const probs = new Float32Array(this.game.actionSpace).fill(0);
-        for (const move of legalMoves) {
-            probs[move] = Math.exp(policyLogits[move] - maxLogit);
-            sumExp += probs[move];
-        }
+function resetClocks() {
+    stopClock();
+    timeoutLoser = null;
+    const base = timeControl ? timeControl.base * 1000 : 0;
+    clocks = { 1: base, [-1]: base };
+    document.getElementById('clock-bar').classList.toggle('hidden', !timeControl);
+    startClock(currentToPlay);
+    renderClocks();
+}
 
-        for (const move of legalMoves) {
-            const prob = probs[move] / sumExp;
-            if (prob > 0) {
-                const nextState = this.game.getNextState(node.state, move, node.toPlay);
-                // Child's toPlay is opposite of current node
-                const child = new Node(nextState, -node.toPlay, prob, node, move);
-                node.children.push(child);
-            }
-        }
-        return value;
-    }
+function startClock(side) {
+    if (!timeControl) return;
+    clockSide = side;
+    clockStartedAt = performance.now();
+    if (!clockTimer) clockTimer = setInterval(tickClock, 100);
+}
 
-    backpropagate(node, value) {
-        while (node) {
-            node.update(value);
-            value = -value; // Flip value for parent
-            node = node.parent;
-        }
+function stopClock() {
+    if (clockSide !== null) clocks[clockSide] = getRemainingMs(clockSide);
+    clockSide = null;
+    clockHeld = false;
+    clearInterval(clockTimer);
+    clockTimer = null;
+    renderClocks();
+}
+
+// Charge the side that just moved, add its increment and start the opponent's clock
+function pressClock() {
+    if (clockSide === null) return;
+    const mover = clockSide;
+    clocks[mover] = getRemainingMs(mover) + timeControl.increment * 1000;
+    startClock(-mover);
+    renderClocks();
+}
+
+// Navigating the move tree: the clock keeps running for whoever is to move there
+function handClockTo(side) {
+    if (clockHeld) {
+        clockHeld = false;
+        startClock(side);
+        renderClocks();
+        return;
     }
+    if (clockSide === null || clockSide === side) return;
+    clocks[clockSide] = getRemainingMs(clockSide);
+    startClock(side);
+    renderClocks();
+}
 
-    async search(state, toPlay) {
-        const root = new Node(state, toPlay);
-        
-        // Time slicing to prevent UI freeze
-        for (let i = 0; i < this.args.numSimulations; i++) {
-            let node = root;
-            
-            // 1. Select
-            while (node.isExpanded()) node = this.select(node);
-            
-            // 2. Expand & Evaluate
-            let value;
-            const winner = this.game.checkWin(node.state);
-            if (winner !== null) {
-                // If winner is toPlay, value is 1. If winner is opponent, value is -1.
-                // Draw is 0.
-                if (winner === 0) value = 0;
-                else value = (winner === node.toPlay) ? 1 : -1;
-            } else {
-                value = await this.expand(node);
-            }
+// Browsing onto a position where SkyZero is to move: nobody's time runs until the user plays on
+function holdClock() {
+    if (clockSide === null) return;
+    stopClock();
+    clockHeld = true;
+}
 
-            // 3. Backpropagate
-            this.backpropagate(node, value);
+function tickClock() {
+    if (clockSide !== null && getRemainingMs(clockSide) <= 0) {
+        // Flag fall: an AI search still in flight is discarded by runAiMove
+        timeoutLoser = clockSide;
+        stopClock();
+        isAiThinking = false;
+        updateStatus(-timeoutLoser, true);
+        return;
+    }
+    renderClocks();
+}
 
-            // Yield to UI every 50 iterations
-            if (i % 50 === 0) await new Promise(r => setTimeout(r, 0));
-        }
+// Split the AI's remaining time over the moves it still expects to play
+function getAiTimeBudget() {
+    if (!timeControl) return null;
+    const remaining = getRemainingMs(currentToPlay);
+    const movesLeft = Math.min(30, Math.max(3, Math.ceil(gameEngine.getValidMoves(gameState).length / 2)));
+    const budget = remaining / movesLeft + timeControl.increment * 1000 * 0.8;
+    // Keep a margin for message passing and rendering
+    return Math.max(50, Math.min(budget, remaining - 500));
+}
 
-        // Return visit counts
-        const counts = new Float32Array(this.game.actionSpace).fill(0);
-        let sumCounts = 0;
-        for (const child of root.children) {
-            counts[child.actionTaken] = child.n;
-            sumCounts += child.n;
-        }
+function formatClock(ms) {
+    if (ms < 10000) return (ms / 1000).toFixed(1);
+    const total = Math.ceil(ms / 1000);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
 
-        // Winrate from root perspective
-        const winRate = (root.v / root.n + 1) / 2;
-        return { actionCounts: counts, totalCounts: sumCounts, winRate: winRate, root: root };
+function renderClocks() {
+    if (!timeControl) return;
+    const human = playerSide === 'first' ? 1 : -1;
+    for (const side of [1, -1]) {
+        const el = document.getElementById(side === 1 ? 'clock-black' : 'clock-white');
+        const ms = getRemainingMs(side);
+        el.querySelector('.clock-label').innerText = `${side === 1 ? 'Black' : 'White'} · ${side === human ? 'You' : 'SkyZero'}`;
+        el.querySelector('.clock-time').innerText = formatClock(ms);
+        el.classList.toggle('clock-active', side === clockSide);
+        el.classList.toggle('clock-low', ms < 10000);
     }
 }
 
-// ==========================================
-// 3. UI & Interaction Logic
-// ==========================================
+function updateTimeControl() {
+    timeControl = TIME_CONTROLS[document.getElementById('time-control-select').value];
+    if (!editor) resetGame(); // While editing, it applies to the game started from the editor
+}
 
-let gameEngine = null; // TicTacToe / Connect4 / Gomoku instance
-let currentSession = null; // ONNX Session
-let gameState = null; // Current big state (Float32Array with history)
-let playerSide = 'first'; // 'first' (1) or 'second' (-1)
-let currentToPlay = 1; // 1 (Black/First) or -1 (White/Second)
-let isAiThinking = false;
-let activeGameType = 'ttt';
-let historyStack = []; // For Undo
+function updateSymmetry() {
+    MCTS_CONFIG.symmetry = document.getElementById('symmetry-select').value;
+    updateShareLink();
+    if (gameMode === 'analysis') startPondering(); // Re-run the live search with the new evaluation
+}
 
-// DOM Elements
-const uiBoardTTT = document.getElementById('ttt-board');
-const uiBoardC4 = document.getElementById('c4-board');
-const uiBoardGomoku = document.getElementById('gomoku-board');
-const uiLoading = document.getElementById('loading-overlay');
-const uiStatus = document.getElementById('status-bar');
-const uiWinRateBar = document.getElementById('winrate-bar');
-const uiWinRateText = document.getElementById('winrate-text');
-const uiInferenceTime = document.getElementById('inference-time');
+async function updateEvaluator() {
+    evaluatorChoice = document.getElementById('evaluator-select').value;
+    updateShareLink();
+    const type = activeGameType;
+    stopPondering(); // The worker switches after the running search, so end it first
+    try {
+        const status = await callWorker('evaluator', { name: evaluatorChoice });
+        if (activeGameType !== type) return;
+        showEvaluatorStatus(status);
+    } catch (e) {
+        console.error(e);
+        alert(`Cannot switch evaluator: ${e.message}`);
+        return;
+    }
+    // Play mode picks it up from SkyZero's next move
+    if (gameMode === 'analysis') startPondering();
+}
+
+// Reflect the worker's 'loaded' reply: which evaluator is searching, and whether that is a fallback
+function showEvaluatorStatus({ evaluator, degraded, modelError }) {
+    const select = document.getElementById('evaluator-select');
+    select.value = evaluator;
+    select.querySelector('option[value="network"]').disabled = degraded;
+    document.getElementById('symmetry-select').disabled = evaluator !== 'network';
+    document.getElementById('value-source').innerText = EVALUATOR_LABELS[evaluator].value;
+
+    document.getElementById('degraded-banner').classList.toggle('hidden', !degraded);
+    if (degraded) {
+        document.getElementById('degraded-reason').innerText =
+            `· ${gameSpec.modelUrl} could not be loaded (${modelError}). SkyZero is using the ${EVALUATOR_LABELS[evaluator].name} evaluator and plays much weaker.`;
+    }
+}
 
 // Init
-window.onload = () => switchGame('ttt');
+window.onload = () => {
+    renderGameTabs();
+    registerServiceWorker();
+    // A shared link wins over the autosaved session
+    const link = readShareLink();
+    if (link) openShareLink(link);
+    else restoreSession();
+};
+
+// Offline support: sw.js precaches the page, engine and ONNX Runtime; the models are added here,
+// under their versioned URLs (the worker keeps its own copies in IndexedDB as well)
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('sw.js').catch(e => console.warn("Service worker not registered:", e));
+    navigator.serviceWorker.ready.then(registration => {
+        registration.active.postMessage({ type: 'precache', urls: GAME_REGISTRY.map(modelRequestUrl) });
+    });
+}
+
+// script.js is an ES module, so the inline on* handlers in index.html only see what is put on window
+Object.assign(window, {
+    switchGame, resetGame, undoMove, redoMove, updateMode, updatePlayerSide, updateDifficulty,
+    updateTimeControl, updateSymmetry, updateEvaluator, updateRules, sortRootStats, updatePerspective, setPolicyMode,
+    requestHint, drawBoard, copyShareLink,
+    openEditor, setEditorTool, setEditorToPlay, clearEditor, cancelEditor, startFromEditor,
+    nextPuzzle, retryPuzzle, exportPuzzles, importPuzzles, continueGame, chooseSwap2, updateMatchDelay, startMatch, stopMatch,
+    goFirst, goPrev, goNext, goLast,
+    openRecordDialog, closeRecordDialog, copyRecord, downloadRecord, openRecordFile, importRecord,
+});
 
 async function switchGame(type) {
     activeGameType = type;
+    closeEditor();
+    stopClock();
+    stopPondering();
+    stopMatch();
     
+    gameSpec = getGameSpec(type);
+    renderRuleControls();
+    gameEngine = createGame(type, getRuleOptions());
+
     // UI Tabs Styling
-    ['ttt', 'c4', 'gomoku'].forEach(t => {
-        const el = document.getElementById(`tab-${t}`);
-        if (t === type) el.className = "px-6 py-2 rounded-lg text-sm font-medium transition-all bg-gray-900 text-white shadow-md";
+    for (const spec of GAME_REGISTRY) {
+        const el = document.getElementById(`tab-${spec.id}`);
+        if (spec.id === type) el.className = "px-6 py-2 rounded-lg text-sm font-medium transition-all bg-gray-900 text-white shadow-md";
         else el.className = "px-6 py-2 rounded-lg text-sm font-medium transition-all text-gray-500 hover:text-gray-900";
-    });
-
-    // Show/Hide Boards
-    uiBoardTTT.classList.add('hidden');
-    uiBoardC4.classList.add('hidden');
-    uiBoardGomoku.classList.add('hidden');
-    
-    if (type === 'ttt') {
-        gameEngine = new TicTacToe();
-        uiBoardTTT.classList.remove('hidden');
-    } else if (type === 'c4') {
-        gameEngine = new Connect4();
-        uiBoardC4.classList.remove('hidden');
-        initC4UI();
-    } else if (type === 'gomoku') {
-        gameEngine = new Gomoku();
-        uiBoardGomoku.classList.remove('hidden');
     }
 
+    // Build the board for this game
+    uiBoard.innerHTML = '';
+    uiBoard.removeAttribute('style');
+    BOARD_RENDERERS[gameSpec.renderer].mount(uiBoard, gameSpec);
+
     // Load Model
     uiLoading.classList.remove('hidden');
     uiStatus.innerText = "Loading Model...";
     
-    let modelFile = `${type === 'ttt' ? 'tictactoe' : (type === 'c4' ? 'connect4' : 'gomoku')}.onnx`;
-    
-    try {
-        // Explicitly fetch first to check status and provide better diagnostics
-        const response = await fetch(modelFile);
-        if (!response.ok) {
-            throw new Error(`Fetch failed: ${response.status} ${response.statusText} for ${modelFile}`);
-        }
-        
-        const contentType = response.headers.get('content-type');
-        console.log(`Loading ${modelFile} (Size: ${response.headers.get('content-length')} bytes, Type: ${contentType})`);
-        
-        const buffer = await response.arrayBuffer();
-        if (buffer.byteLength < 1000) {
-             console.warn("Warning: Model file is remarkably small. This might be a Git LFS pointer or an HTML error page.");
-        }
+    const modelFile = gameSpec.modelUrl;
 
-        currentSession = await ort.InferenceSession.create(buffer, { executionProviders: ['wasm'] });
-        console.log("Model loaded successfully:", modelFile);
+    try {
+        // Fetch + session creation happen inside the worker; without a model it falls back to a heuristic
+        const status = await callWorker('load', { gameType: type, modelUrl: modelRequestUrl(gameSpec), options: getRuleOptions(), evaluator: evaluatorChoice, cache: CACHE_CONFIG });
+        if (activeGameType !== type) return false; // User switched again while loading
+        showEvaluatorStatus(status);
         resetGame();
+        return true;
     } catch (e) {
         console.error(e);
         const msg = `Failed to load ${modelFile}\nError: ${e.message}\n\nTroubleshooting:\n1. Check if the URL ends with '/' if hosted in a folder.\n2. Ensure .onnx files are committed (not ignored).\n3. Check console for details.`;
         alert(msg);
         uiStatus.innerText = "Error Loading Model";
         uiStatus.className = "status-bar mb-6 bg-red-100 text-red-600";
+        return false;
     } finally {
         uiLoading.classList.add('hidden');
     }
 }
 
-function initC4UI() {
-    const btnContainer = document.getElementById('c4-buttons');
-    const gridContainer = document.getElementById('c4-grid');
-    btnContainer.innerHTML = '';
-    gridContainer.innerHTML = '';
-    
-    for(let c=0; c<7; c++) {
+// One tab per registered game
+function renderGameTabs() {
+    const tabs = document.getElementById('game-tabs');
+    tabs.innerHTML = '';
+    for (const spec of GAME_REGISTRY) {
         const btn = document.createElement('button');
-        btn.className = 'c4-btn';
-        btn.innerHTML = '▼';
-        btn.onclick = () => handleInput(c); // Col index
-        btn.id = `c4-btn-${c}`;
-        btnContainer.appendChild(btn);
-    }
-    
-    for(let r=0; r<6; r++) {
-        for(let c=0; c<7; c++) {
-            const cell = document.createElement('div');
-            cell.className = 'c4-cell';
-            cell.id = `c4-cell-${r}-${c}`;
-            gridContainer.appendChild(cell);
-        }
+        btn.id = `tab-${spec.id}`;
+        btn.className = "px-6 py-2 rounded-lg text-sm font-medium transition-all text-gray-500 hover:text-gray-900";
+        btn.innerText = spec.label;
+        btn.onclick = () => switchGame(spec.id);
+        tabs.appendChild(btn);
     }
 }
 
 function updatePlayerSide() {
     const radios = document.getElementsByName('playerSide');
     for (const r of radios) if (r.checked) playerSide = r.value;
-    resetGame();
+    if (!editor) resetGame();
+}
+
+function updateDifficulty() {
+    // Takes effect from the AI's next move; the game in progress is kept
+    difficulty = document.getElementById('difficulty-select').value;
+    updateShareLink();
 }
 
-function resetGame() {
-    gameState = gameEngine.getInitialState();
-    currentToPlay = 1;
-    historyStack = [];
+// A new game from the start, or from a set-up `start` ({ state, toPlay }, see the board editor)
+function resetGame(start = null) {
+    closeEditor();
+    puzzle = null;
+    stopMatch();
+    stopHint();
+    hint = null;
+    hintsUsed = 0;
+    swap2 = null;
+    if (start) initMoveTree(start.state, start.toPlay);
+    else initMoveTree(gameEngine.getInitialState(), 1);
     isAiThinking = false;
+    postToWorker('reset');
+    resetClocks();
     
     drawBoard();
     updateStatus();
-    updateAnalysis(0.5, null);
-
-    // If human is second, AI moves first
-    if (playerSide === 'second') {
-        setTimeout(runAiMove, 500);
+    updateAnalysis(null);
+    renderMoveList();
+
+    // If it is SkyZero's turn (human is second, or a set-up position with the other side to move), AI moves first
+    clearTimeout(aiStartTimer);
+    if (gameMode === 'analysis') {
+        stopClock();
+        startPondering();
+    } else if (gameMode === 'spectate') {
+        stopClock(); // Started from the match panel
+    } else if (gameMode === 'puzzle') {
+        stopClock();
+        nextPuzzle();
+    } else if (openingRule === 'swap2' && !start) {
+        startSwap2();
+    } else if (currentToPlay !== (playerSide === 'first' ? 1 : -1)) {
+        aiStartTimer = setTimeout(runAiMove, 500);
+    } else {
+        startBackgroundEval();
     }
 }
 
+// Step back to the previous position where it is the human's turn (1 or 2 plies)
 function undoMove() {
-    if (isAiThinking || historyStack.length < 2) return;
-    
-    // Revert 2 steps (Human + AI)
-    historyStack.pop(); // Pop AI move
-    const prev = historyStack.pop(); // Pop Human move
-    
-    gameState = prev.state;
-    currentToPlay = prev.toPlay;
-    
-    drawBoard();
-    updateStatus();
+    if (isAiThinking || editor) return;
+    if (gameMode === 'analysis' || gameMode === 'puzzle') return goPrev(); // Both sides are human: one ply at a time
+    if (swap2) return resetGame(); // Taking back part of a Swap2 opening restarts it
+    const human = playerSide === 'first' ? 1 : -1;
+    let node = currentNode.parent;
+    while (node && node.toPlay !== human) node = node.parent;
+    if (node) goToNode(node);
+}
+
+// Mirror of undoMove along the line that was last visited
+function redoMove() {
+    if (isAiThinking || editor) return;
+    if (gameMode === 'analysis' || gameMode === 'puzzle') return goNext();
+    const human = playerSide === 'first' ? 1 : -1;
+    let node = nextInLine(currentNode);
+    while (node && node.toPlay !== human && nextInLine(node)) node = nextInLine(node);
+    if (node) goToNode(node);
 }
 
 // Unified Input Handler
 async function handleInput(action) {
-    if (isAiThinking) return;
+    if (editor) return editBoard(action);
+    if (isAiThinking || timeoutLoser !== null || gameMode === 'spectate') return;
     
     const win = gameEngine.checkWin(gameState);
     if (win !== null) return;
     
-    // Validate human turn
-    const humanColor = playerSide === 'first' ? 1 : -1;
-    if (currentToPlay !== humanColor) return;
-
-    // Validate Move
-    if (activeGameType === 'c4') {
-        // For C4, action is column. Check if top is empty
-        const board = gameEngine._getBoard(gameState, gameEngine.historyStep - 1);
-        if (board[action] !== 0) return; // Col full
-    } else {
-        // TTT / Gomoku: action is index
-        const board = gameEngine._getBoard(gameState, gameEngine.historyStep - 1);
-        if (board[action] !== 0) return; // Occupied
-    }
-
-    // Execute Human Move
-    pushHistory();
-    gameState = gameEngine.getNextState(gameState, action, currentToPlay);
-    currentToPlay = -currentToPlay;
+    // Validate human turn (in analysis mode the user plays both sides)
+    if (gameMode === 'play' && !isHumanToPlace()) return;
+    // A puzzle takes one answer, from the puzzle position
+    if (gameMode === 'puzzle' && !(puzzle && puzzle.status === 'solving' && currentNode === puzzle.node)) return;
+
+    // Validate Move (occupied cell / full column)
+    if (!gameEngine.getValidMoves(gameState).includes(action)) return;
+
+    // Execute Human Move (a new move from an earlier position becomes a variation)
+    stopHint();
+    playMove(action);
+    pressClock();
     
     drawBoard();
+    if (gameMode === 'puzzle') return checkPuzzleMove(action);
     
     const result = gameEngine.checkWin(gameState);
     if (result !== null) {
+        stopPondering();
+        stopClock();
         updateStatus(result);
+    } else if (gameMode === 'analysis') {
+        startPondering();
+    } else if (swap2) {
+        await advanceSwap2();
     } else {
         updateStatus();
         await runAiMove();
     }
 }
 
+// Play mode: the human may place a stone now (during Swap2 that depends on the phase, not the colour)
+function isHumanToPlace() {
+    if (swap2) return swap2Placer() === 'human';
+    return currentToPlay === (playerSide === 'first' ? 1 : -1);
+}
+
 async function runAiMove() {
     isAiThinking = true;
     updateStatus();
     
     const start = performance.now();
+    const searchNode = currentNode;
+    const searchEngine = gameEngine;
+    // The board was reset / navigated / switched (or the AI flagged) while the worker was searching
+    const isStale = () => currentNode !== searchNode || gameEngine !== searchEngine
+        || timeoutLoser !== null || gameMode !== 'play';
+    const config = getSearchConfig();
+    const timeBudget = getAiTimeBudget();
+    if (timeBudget !== null) config.timeLimitMs = timeBudget;
     
-    // MCTS Search
-    const mcts = new MCTS(gameEngine, currentSession, MCTS_CONFIG);
-    const result = await mcts.search(gameState, currentToPlay);
+    // MCTS Search (in worker)
+    let result;
+    try {
+        result = await callWorker('search', {
+            state: gameState,
+            toPlay: currentToPlay,
+            config
+        }, (progress) => {
+            if (isStale()) return;
+            uiStatus.innerText = `Thinking... (MCTS ${progress.simulations}/${config.numSimulations})`;
+        });
+    } catch (e) {
+        console.error(e);
+        if (!isStale()) {
+            isAiThinking = false;
+            uiStatus.innerText = `AI Error: ${e.message}`;
+            uiStatus.className = "status-bar mb-6 bg-red-100 text-red-600";
+        }
+        return;
+    }
+
+    if (isStale()) return;
     
     const end = performance.now();
     uiInferenceTime.innerText = (end - start).toFixed(0);
-    updateAnalysis(result.winRate, result.actionCounts);
-
-    // Pick best move (most visited)
-    let bestAction = -1;
-    let maxN = -1;
-    for(let i=0; i<result.actionCounts.length; i++) {
-        if (result.actionCounts[i] > maxN) {
-            maxN = result.actionCounts[i];
-            bestAction = i;
-        }
-    }
+    uiCacheHitRate.innerText = result.cacheLookups ? (result.cacheHits / result.cacheLookups * 100).toFixed(0) : '-';
+    recordAnalysis(searchNode, result);
+
+    // Pick move: most visited, or sampled / blundered depending on difficulty
+    // Only levels with the exact solver play proven moves outright; below that temperature still applies
+    const bestAction = chooseAction(result.actionCounts, gameEngine.getValidMoves(gameState), config, config.exactSolver ? result.proven : null);
 
     if (bestAction !== -1) {
-        pushHistory();
-        gameState = gameEngine.getNextState(gameState, bestAction, currentToPlay);
-        currentToPlay = -currentToPlay;
+        playMove(bestAction);
+        pressClock();
         drawBoard();
     }
 
     isAiThinking = false;
     const win = gameEngine.checkWin(gameState);
+    if (win !== null) stopClock();
     updateStatus(win);
+    startBackgroundEval();
 }
 
-function pushHistory() {
-    // Clone state
-    historyStack.push({
-        state: new Float32Array(gameState),
-        toPlay: currentToPlay
-    });
+// Play mode: let SkyZero move if the selected position is its turn (otherwise evaluate it for the timeline)
+async function startAiTurnIfNeeded() {
+    const human = playerSide === 'first' ? 1 : -1;
+    if (gameEngine.checkWin(gameState) === null && timeoutLoser === null && currentToPlay !== human) {
+        await runAiMove();
+    } else {
+        startBackgroundEval();
+    }
+}
+
+// Play mode: browsing the move tree never makes SkyZero move. On a position where it is to
+// move it waits (its clock held) until asked to play on from there (继续).
+function canContinue() {
+    return gameMode === 'play' && !swap2 && !editor && !isAiThinking && timeoutLoser === null
+        && !isHumanToPlace() && gameEngine.checkWin(gameState) === null;
+}
+
+function continueGame() {
+    if (!canContinue()) return;
+    handClockTo(currentToPlay);
+    startAiTurnIfNeeded();
 }
 
 // ==========================================
-// 4. Rendering
+// Hints (提示: 替用户搜索, 不改变局面)
 // ==========================================
 
-function drawBoard() {
-    const board = gameEngine._getBoard(gameState, gameEngine.historyStep - 1); // Get current plane
-    
-    if (activeGameType === 'ttt') {
-        uiBoardTTT.innerHTML = '';
-        for(let i=0; i<9; i++) {
-            const cell = document.createElement('div');
-            cell.className = 'ttt-cell';
-            if (board[i] === 1) cell.innerHTML = '<span class="ttt-x">✕</span>';
-            else if (board[i] === -1) cell.innerHTML = '<span class="ttt-o">○</span>';
-            cell.onclick = () => handleInput(i);
-            uiBoardTTT.appendChild(cell);
-        }
-    } else if (activeGameType === 'c4') {
-        for(let r=0; r<6; r++) {
-            for(let c=0; c<7; c++) {
-                const idx = r*7 + c;
-                const cell = document.getElementById(`c4-cell-${r}-${c}`);
-                cell.className = 'c4-cell';
-                if (board[idx] === 1) cell.classList.add('c4-red');
-                else if (board[idx] === -1) cell.classList.add('c4-yellow');
-            }
-        }
-        // Update btns
-        for(let c=0; c<7; c++) {
-             const btn = document.getElementById(`c4-btn-${c}`);
-             btn.disabled = board[c] !== 0; // Disable if top row filled
-        }
-    } else if (activeGameType === 'gomoku') {
-        uiBoardGomoku.innerHTML = '';
-        const grid = document.createElement('div');
-        grid.className = 'gomoku-grid';
-        for(let i=0; i<81; i++) {
-            const cell = document.createElement('div');
-            cell.className = 'gomoku-cell';
-            cell.onclick = () => handleInput(i);
-            if (board[i] === 1) cell.innerHTML = '<div class="gomoku-stone gomoku-black"></div>';
-            else if (board[i] === -1) cell.innerHTML = '<div class="gomoku-stone gomoku-white"></div>';
-            grid.appendChild(cell);
-        }
-        uiBoardGomoku.appendChild(grid);
-    }
+let hintsUsed = 0;     // Hints asked for in the current game (kept in its record)
+let hint = null;       // { node, moves: [{ action, winRate }] }: suggestion for that move-tree node
+let hintSearch = null; // Promise of the running hint search (carries its request id)
+
+function canRequestHint() {
+    return gameMode === 'play' && !swap2 && !editor && !isAiThinking && !hintSearch && timeoutLoser === null
+        && isHumanToPlace() && gameEngine.checkWin(gameState) === null;
 }
 
-function updateStatus(winner = null) {
-    if (winner !== null) {
-        if (winner === 0) {
-            uiStatus.innerText = "平局 (Draw)";
-            uiStatus.className = "status-bar mb-6 bg-pink-100 text-pink-600";
-        } else {
-            const human = playerSide === 'first' ? 1 : -1;
-            if (winner === human) {
-                uiStatus.innerText = "🎉 You Win!";
-                uiStatus.className = "status-bar mb-6 bg-red-100 text-red-600";
-            } else {
-                uiStatus.innerText = "🤖 SkyZero Wins!";
-                uiStatus.className = "status-bar mb-6 bg-green-100 text-green-600";
-            }
-        }
-    } else {
-        if (isAiThinking) {
-            uiStatus.innerText = "Thinking... (MCTS)";
-            uiStatus.className = "status-bar mb-6 bg-indigo-100 text-indigo-600";
-        } else {
-            const human = playerSide === 'first' ? 1 : -1;
-            if (currentToPlay === human) {
-                uiStatus.innerText = "Your Turn";
-                uiStatus.className = "status-bar mb-6 bg-blue-100 text-blue-600";
-            } else {
-                uiStatus.innerText = "Waiting...";
-                uiStatus.className = "status-bar mb-6 bg-gray-100 text-gray-600";
-            }
-        }
-    }
+function updateHintButton() {
+    document.getElementById('hint-btn').disabled = !canRequestHint();
+    document.getElementById('hint-count').innerText = hintSearch ? '…' : (hintsUsed ? `· ${hintsUsed}` : '');
 }
 
-function updateAnalysis(winRate, counts) {
-    // WinRate Bar
-    const pct = (winRate * 100).toFixed(1);
-    uiWinRateText.innerText = `${pct}%`;
-    uiWinRateBar.style.width = `${pct}%`;
-    uiWinRateBar.className = `h-2.5 rounded-full transition-all duration-500 ${winRate > 0.5 ? 'bg-green-500' : 'bg-red-400'}`;
+// Search the current position for the human (their colour is the side to move) and mark the
+// best move(s). Only the analysis of this node changes; the game itself is left as it is.
+async function requestHint() {
+    if (!canRequestHint()) return;
+    const node = currentNode;
+    const engine = gameEngine;
+    const config = {
+        ...MCTS_CONFIG, ...DIFFICULTY_PRESETS[activeGameType][HINT_CONFIG.level],
+        temperature: 0, dirichletEpsilon: 0, blunderRate: 0,
+    };
+    hintsUsed++;
+    const search = callWorker('search', { state: node.state, toPlay: node.toPlay, config });
+    hintSearch = search;
+    updateHintButton();
 
-    // Policy Visualization
-    const container = document.getElementById('policy-container');
-    container.innerHTML = '';
-    
-    if (!counts) {
-        container.innerHTML = '<p class="text-gray-400 text-xs">Waiting for analysis...</p>';
-        return;
+    try {
+        const result = await search;
+        if (hintSearch !== search || result.cancelled || currentNode !== node || gameEngine !== engine) return;
+        hint = { node, moves: result.stats.slice(0, HINT_CONFIG.topMoves).map(s => ({ action: s.action, winRate: (s.q + 1) / 2, proven: s.proven })) };
+        recordAnalysis(node, result);
+        drawBoard();
+    } catch (e) {
+        console.error(e);
+    } finally {
+        if (hintSearch === search) hintSearch = null;
+        updateHintButton();
     }
+}
 
-    const total = counts.reduce((a, b) => a + b, 0);
-    if (total === 0) return;
+function stopHint() {
+    if (!hintSearch) return;
+    postToWorker('stop', { searchId: hintSearch.id });
+    hintSearch = null;
+    updateHintButton();
+}
 
-    if (activeGameType === 'c4') {
-        // Bar Chart for Connect 4
-        const chart = document.createElement('div');
-        chart.className = 'policy-bar-container';
-        
-        // Find max for scaling
-        const maxCount = Math.max(...counts);
-        
-        for(let c=0; c<7; c++) {
-            const prob = counts[c] / total;
+// Mark the suggested moves; with "Top 3" each gets its rank and win rate
+function showHint() {
+    const renderer = BOARD_RENDERERS[gameSpec.renderer];
+    const showTop = document.getElementById('hint-top').checked;
+    const moves = showTop ? hint.moves : hint.moves.slice(0, 1);
+    moves.forEach(({ action, winRate, proven }, rank) => {
+        const el = renderer.hintTarget(uiBoard, action);
+        el.classList.add('hint-target');
+        if (rank === 0) el.classList.add('hint-best');
+        el.title = `Hint: ${gameEngine.moveLabel(action)} · ${proven ? provenText(proven) : `win rate ${(winRate * 100).toFixed(1)}%`}`;
+        if (showTop) {
+            const badge = document.createElement('span');
+            badge.className = 'hint-badge';
+            badge.innerText = `${rank + 1} · ${proven ? provenText(proven) : `${(winRate * 100).toFixed(0)}%`}`;
+            el.appendChild(badge);
+        }
+    });
+}
+
+// ==========================================
+// Analysis Mode (分析模式: 双人摆棋 + 后台持续搜索)
+// ==========================================
+
+let gameMode = 'play';      // 'play' (vs SkyZero) | 'analysis' (hotseat + pondering) | 'spectate' (AI vs AI)
+let ponderSearch = null;    // Promise of the running pondering search (carries its request id)
+
+function updateMode() {
+    gameMode = document.getElementById('mode-select').value;
+    closeEditor();
+    puzzle = null;
+    renderPuzzlePanel();
+    updateShareLink();
+    // A move SkyZero is still computing is discarded (see isStale in runAiMove)
+    isAiThinking = false;
+    clearTimeout(aiStartTimer);
+    stopMatch();
+    stopHint();
+    swap2 = null; // The opening protocol only applies to new games in play mode
+    renderSwap2();
+    document.getElementById('match-panel').classList.toggle('hidden', gameMode !== 'spectate');
+    updateAnalysis(analysisView.analysis, analysisView.origin); // "You" in the win rate perspective depends on the mode
+
+    if (gameMode === 'analysis') {
+        stopClock(); // Analysis is untimed
+        startPondering();
+    } else if (gameMode === 'spectate') {
+        stopPondering();
+        stopClock();
+        updateStatus(gameEngine.checkWin(gameState));
+    } else if (gameMode === 'puzzle') {
+        stopPondering();
+        stopClock();
+        nextPuzzle();
+    } else {
+        stopPondering();
+        resetClocks();
+        updateStatus(gameEngine.checkWin(gameState));
+        startAiTurnIfNeeded();
+    }
+}
+
+// (Re)start an open-ended search of the selected position. The previous one is stopped first,
+// so this is simply called whenever the position changes.
+function startPondering() {
+    stopPondering();
+    if (gameMode !== 'analysis') return;
+
+    const winner = gameEngine.checkWin(gameState);
+    updateStatus(winner);
+    if (winner !== null) return;
+
+    const node = currentNode;
+    const config = {
+        ...MCTS_CONFIG,
+        numSimulations: Infinity, // Until stopped (the position changes) or solved
+        progressInterval: ANALYSIS_CONFIG.refreshInterval
+    };
+    const search = callWorker('search', { state: gameState, toPlay: currentToPlay, config }, (progress) => {
+        if (ponderSearch === search) showPonderProgress(node, progress);
+    });
+    ponderSearch = search;
+
+    search.then((result) => {
+        if (ponderSearch !== search || result.cancelled) return;
+        ponderSearch = null;
+        showPonderProgress(node, { ...result, simulations: result.totalCounts });
+        uiStatus.innerText += " · solved";
+    }).catch((e) => {
+        console.error(e);
+        if (ponderSearch === search) ponderSearch = null;
+    });
+}
+
+function stopPondering() {
+    if (!ponderSearch) return;
+    postToWorker('stop', { searchId: ponderSearch.id });
+    ponderSearch = null;
+}
+
+function showPonderProgress(node, progress) {
+    recordAnalysis(node, progress);
+    updateStatus();
+    uiStatus.innerText += ` · ${progress.simulations.toLocaleString()} sims`;
+}
+
+// ==========================================
+// Spectator Mode (AI vs AI 对局)
+// ==========================================
+
+let matchRunning = false;
+let matchToken = 0;     // Bumped by stopMatch so an in-flight search knows it is obsolete
+let matchStats = null;  // { total, played, plies, A: { w, l, d }, B: { w, l, d } }
+
+function readEngineSettings(prefix) {
+    const num = (field, fallback) => {
+        const v = parseFloat(document.getElementById(`${prefix}-${field}`).value);
+        return Number.isFinite(v) ? v : fallback;
+    };
+    return {
+        ...MCTS_CONFIG,
+        numSimulations: Math.max(1, Math.round(num('sims', 200))),
+        c_puct: num('cpuct', MCTS_CONFIG.c_puct),
+        temperature: Math.max(0, num('temp', 0)),
+    };
+}
+
+function getMatchDelay() {
+    return parseInt(document.getElementById('match-delay').value, 10) || 0;
+}
+
+function updateMatchDelay() {
+    document.getElementById('match-delay-label').innerText = `${getMatchDelay()} ms`;
+}
+
+// Play `games` games between Engine A and Engine B, swapping colours every game
+async function startMatch() {
+    if (matchRunning || gameMode !== 'spectate' || !gameEngine || editor) return;
+    const totalGames = Math.max(1, parseInt(document.getElementById('match-games').value, 10) || 1);
+    const settings = { A: readEngineSettings('engine-a'), B: readEngineSettings('engine-b') };
+    const token = ++matchToken;
+    const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+    matchRunning = true;
+    matchStats = { total: totalGames, played: 0, plies: 0, puzzles: 0, A: { w: 0, l: 0, d: 0 }, B: { w: 0, l: 0, d: 0 } };
+    renderMatchStats();
+
+    try {
+        for (let g = 0; g < totalGames && token === matchToken; g++) {
+            const colours = g % 2 === 0 ? { 1: 'A', [-1]: 'B' } : { 1: 'B', [-1]: 'A' };
+            initMoveTree(gameEngine.getInitialState(), 1);
+            drawBoard();
+            updateAnalysis(null);
+            renderMoveList();
+
+            let winner = null;
+            while (token === matchToken && (winner = gameEngine.checkWin(gameState)) === null) {
+                const side = colours[currentToPlay];
+                uiStatus.innerText = `AI vs AI · Game ${g + 1}/${totalGames} · Engine ${side} (${currentToPlay === 1 ? 'Black' : 'White'}) thinking...`;
+                uiStatus.className = "status-bar mb-6 bg-indigo-100 text-indigo-600";
+
+                // Each engine searches from scratch so neither inherits the other's tree
+                postToWorker('reset');
+                const result = await callWorker('search', { state: gameState, toPlay: currentToPlay, config: settings[side] });
+                if (token !== matchToken) return;
+
+                recordAnalysis(currentNode, result);
+                playMove(chooseAction(result.actionCounts, gameEngine.getValidMoves(gameState), settings[side], result.proven));
+                drawBoard();
+                await sleep(getMatchDelay());
+            }
+            if (token !== matchToken) return;
+
+            matchStats.played++;
+            matchStats.plies += currentNode.ply;
+            if (winner === 0) {
+                matchStats.A.d++;
+                matchStats.B.d++;
+            } else {
+                const winnerSide = colours[winner];
+                const loserSide = winnerSide === 'A' ? 'B' : 'A';
+                matchStats[winnerSide].w++;
+                matchStats[loserSide].l++;
+            }
+            matchStats.puzzles += await harvestPuzzles(() => token !== matchToken);
+            if (token !== matchToken) return;
+            updateStatus(winner);
+            renderMatchStats();
+            await sleep(Math.max(800, getMatchDelay()));
+        }
+        if (token === matchToken) {
+            uiStatus.innerText = `Match finished · ${matchStats.played} games`;
+            uiStatus.className = "status-bar mb-6 bg-green-100 text-green-600";
+        }
+    } catch (e) {
+        console.error(e);
+        if (token === matchToken) {
+            uiStatus.innerText = `AI Error: ${e.message}`;
+            uiStatus.className = "status-bar mb-6 bg-red-100 text-red-600";
+        }
+    } finally {
+        if (token === matchToken) matchRunning = false;
+    }
+}
+
+function stopMatch() {
+    if (!matchRunning) return;
+    matchRunning = false;
+    matchToken++;
+    uiStatus.innerText = "Match stopped";
+    uiStatus.className = "status-bar mb-6 bg-gray-100 text-gray-600";
+    renderMoveList(); // Re-enable browsing of the interrupted game
+}
+
+function renderMatchStats() {
+    const tbody = document.querySelector('#match-table tbody');
+    const summary = document.getElementById('match-summary');
+    tbody.innerHTML = '';
+    if (!matchStats) return;
+
+    for (const side of ['A', 'B']) {
+        const st = matchStats[side];
+        const played = st.w + st.l + st.d;
+        const score = played > 0 ? ((st.w + st.d / 2) / played * 100).toFixed(0) + '%' : '–';
+        const row = document.createElement('tr');
+        row.innerHTML = `<td>Engine ${side}</td><td>${st.w}</td><td>${st.l}</td><td>${st.d}</td><td>${score}</td>`;
+        tbody.appendChild(row);
+    }
+    const avg = matchStats.played > 0 ? (matchStats.plies / matchStats.played).toFixed(1) : '–';
+    summary.innerText = `Games: ${matchStats.played} / ${matchStats.total} · Avg length: ${avg} plies`
+        + (gameSpec.puzzles ? ` · Puzzles found: ${matchStats.puzzles}` : '');
+}
+
+// ==========================================
+// Puzzles (谜题: 从 AI 对局中挑出的战术局面)
+// ==========================================
+
+const PUZZLE_KEY = 'skyzero-puzzles';
+// Saved puzzle set: { puzzles: { [gameId]: [entry] }, stats: { streak, best, solved, attempted } }
+//   entry: { id, rule, moves (record notation, from the start), kind ('win' | 'defend'),
+//            solutions (actions), winRate (at the puzzle position), result (last first try: 'solved' | 'failed' | null) }
+let puzzleStore = loadPuzzleStore();
+// Puzzle on the board: { entry, node (its position), side, status, tries }
+//   status: 'solving' -> 'checking' (engine checks the answer and plays on) -> 'solved' | 'failed'
+let puzzle = null;
+
+function loadPuzzleStore() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PUZZLE_KEY));
+        if (saved && saved.puzzles && saved.stats) return saved;
+    } catch (e) {
+        console.warn("Ignoring the saved puzzle set:", e);
+    }
+    return { puzzles: {}, stats: { streak: 0, best: 0, solved: 0, attempted: 0 } };
+}
+
+function savePuzzleStore() {
+    try {
+        localStorage.setItem(PUZZLE_KEY, JSON.stringify(puzzleStore));
+    } catch (e) {
+        console.warn("Could not save the puzzle set:", e);
+    }
+}
+
+function puzzleSet() {
+    return puzzleStore.puzzles[activeGameType] || [];
+}
+
+// The engine is checking an answer and playing on; the board belongs to it until then
+function puzzleBusy() {
+    return puzzle !== null && puzzle.status === 'checking';
+}
+
+function puzzleSearchConfig() {
+    return { ...MCTS_CONFIG, numSimulations: PUZZLE_CONFIG.verifySimulations, dirichletEpsilon: 0 };
+}
+
+// After an AI-vs-AI game: search each candidate position (findPuzzleCandidates) again, deeper and
+// without noise, and keep the ones classifyPuzzle accepts. Returns the number of new puzzles.
+async function harvestPuzzles(isStale) {
+    if (!gameSpec.puzzles || !document.getElementById('match-puzzles').checked) return 0;
+    const line = getLine(currentNode);
+    const candidates = findPuzzleCandidates(line.map(n => n.analysis));
+    if (!puzzleStore.puzzles[activeGameType]) puzzleStore.puzzles[activeGameType] = [];
+    const set = puzzleStore.puzzles[activeGameType];
+    let added = 0;
+    for (const { index } of candidates) {
+        const node = line[index];
+        const moves = gameEngine.formatMoveList(line.slice(1, index + 1).map(n => n.action));
+        const id = `${gameRule || ''}:${moves}`;
+        if (set.some(p => p.id === id)) continue;
+
+        uiStatus.innerText = `AI vs AI · Checking move ${index + 1} as a puzzle...`;
+        postToWorker('reset');
+        const result = await callWorker('search', { state: node.state, toPlay: node.toPlay, config: puzzleSearchConfig() });
+        if (isStale()) break;
+        const found = classifyPuzzle(result, gameEngine.getValidMoves(node.state));
+        if (!found) continue;
+        set.push({ id, rule: gameRule, moves, ...found, result: null });
+        added++;
+    }
+    if (added) savePuzzleStore();
+    return added;
+}
+
+// Show another puzzle of the active game, one not solved yet if there is any
+function nextPuzzle() {
+    if (gameMode !== 'puzzle' || puzzleBusy() || editor) return;
+    stopHint();
+    const previous = puzzle && puzzle.entry;
+    puzzle = null;
+    const set = puzzleSet().filter(p => p !== previous || puzzleSet().length === 1);
+    const unsolved = set.filter(p => p.result !== 'solved');
+    const pool = unsolved.length ? unsolved : set;
+    if (pool.length === 0) {
+        updateStatus();
+        renderPuzzlePanel();
+        return;
+    }
+    const entry = pool[Math.floor(Math.random() * pool.length)];
+
+    // Rules first: the moves are replayed under the puzzle's rule set (Renju forbids some)
+    if (entry.rule && entry.rule !== gameRule) setGameRule(entry.rule);
+    // The game up to the puzzle, so its moves can be stepped through as usual
+    initMoveLine(gameEngine.replay(gameEngine.parseMoveList(entry.moves)));
+    puzzle = { entry, node: currentNode, side: currentToPlay, status: 'solving', tries: 0 };
+    postToWorker('reset');
+    drawBoard();
+    updateAnalysis(null);
+    renderMoveList();
+    updateStatus();
+    renderPuzzlePanel();
+}
+
+// The user's answer has been played: it is right if it is one of the solutions, or if the engine's
+// search after it finds the user no worse off (acceptsMove). The engine then plays on for a few
+// moves, showing the continuation or the refutation.
+async function checkPuzzleMove(action) {
+    const p = puzzle;
+    p.status = 'checking';
+    p.tries++;
+    updateStatus();
+    renderPuzzlePanel();
+
+    let correct = p.entry.solutions.includes(action);
+    let line = [];
+    const winner = gameEngine.checkWin(gameState);
+    if (winner !== null) {
+        correct = winner === p.side || (winner === 0 && p.entry.kind === 'defend');
+    } else {
+        const node = currentNode;
+        let result;
+        try {
+            postToWorker('reset');
+            result = await callWorker('search', { state: gameState, toPlay: currentToPlay, config: puzzleSearchConfig() });
+        } catch (e) {
+            console.error(e);
+        }
+        if (puzzle !== p) return; // Next puzzle / another mode meanwhile
+        if (result) {
+            recordAnalysis(node, result);
+            if (!correct) correct = acceptsMove(p.entry, result);
+            line = result.stats && result.stats.length ? result.stats[0].pv : [];
+        }
+    }
+
+    for (const reply of line.slice(0, PUZZLE_CONFIG.playoutPlies)) {
+        await new Promise(r => setTimeout(r, PUZZLE_CONFIG.playoutDelay));
+        if (puzzle !== p) return;
+        if (gameEngine.checkWin(gameState) !== null || !gameEngine.getValidMoves(gameState).includes(reply)) break;
+        playMove(reply);
+        drawBoard();
+    }
+    finishPuzzle(correct);
+}
+
+function finishPuzzle(correct) {
+    puzzle.status = correct ? 'solved' : 'failed';
+    // Only a first try counts for the streak
+    if (puzzle.tries === 1) {
+        const stats = puzzleStore.stats;
+        stats.attempted++;
+        if (correct) {
+            stats.solved++;
+            stats.streak++;
+            stats.best = Math.max(stats.best, stats.streak);
+        } else {
+            stats.streak = 0;
+        }
+        puzzle.entry.result = correct ? 'solved' : 'failed';
+        savePuzzleStore();
+    }
+    updateStatus();
+    renderPuzzlePanel();
+}
+
+// Back to the puzzle position for another try (it no longer counts for the streak)
+function retryPuzzle() {
+    if (!puzzle || puzzle.status === 'solving' || puzzleBusy()) return;
+    puzzle.status = 'solving';
+    goToNode(puzzle.node);
+    updateAnalysis(null);
+    updateStatus();
+    renderPuzzlePanel();
+}
+
+// Status bar text and colours in puzzle mode
+function puzzleStatus() {
+    if (!puzzle) {
+        return [gameSpec.puzzles && puzzleSet().length === 0 ? "🧩 No puzzles yet" : "🧩 Press Next puzzle", 'bg-amber-100 text-amber-700'];
+    }
+    const side = puzzle.side === 1 ? 'Black' : 'White';
+    const solutions = puzzle.entry.solutions.map(a => gameEngine.moveLabel(a)).join(' or ');
+    switch (puzzle.status) {
+        case 'solving':
+            return [puzzle.entry.kind === 'win' ? `🧩 ${side} to play and win` : `🧩 ${side} to play: find the only defence`,
+                'bg-amber-100 text-amber-700'];
+        case 'checking':
+            return ["Checking your move...", 'bg-indigo-100 text-indigo-600'];
+        case 'solved':
+            return [puzzle.tries === 1 ? `✅ Solved! Streak: ${puzzleStore.stats.streak}` : "✅ Solved (on a retry)", 'bg-green-100 text-green-600'];
+        default:
+            return [`❌ Not quite: the move was ${solutions}`, 'bg-red-100 text-red-600'];
+    }
+}
+
+function renderPuzzlePanel() {
+    document.getElementById('puzzle-panel').classList.toggle('hidden', gameMode !== 'puzzle');
+    if (gameMode !== 'puzzle') return;
+    const set = puzzleSet();
+    const { streak, best } = puzzleStore.stats;
+    const solved = set.filter(p => p.result === 'solved').length;
+    document.getElementById('puzzle-summary').innerText = gameSpec.puzzles
+        ? `${set.length} puzzles · ${solved} solved · Streak ${streak} (best ${best})`
+        : `Puzzles are available for ${GAME_REGISTRY.filter(s => s.puzzles).map(s => s.label).join(' and ')}`;
+    document.getElementById('puzzle-empty').classList.toggle('hidden', !gameSpec.puzzles || set.length > 0);
+    document.getElementById('puzzle-retry').disabled = !puzzle || puzzle.status === 'solving' || puzzleBusy();
+}
+
+function exportPuzzles() {
+    const text = JSON.stringify({ format: 'skyzero-puzzles', version: 1, puzzles: puzzleStore.puzzles }, null, 1);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    link.download = `skyzero-puzzles-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Add the puzzles of a set file that are new; each one is replayed and checked first
+async function importPuzzles(input) {
+    const file = input.files[0];
+    if (!file) return;
+    input.value = '';
+    try {
+        const data = JSON.parse(await file.text());
+        if (!data || data.format !== 'skyzero-puzzles' || typeof data.puzzles !== 'object') throw new Error("Not a SkyZero puzzle set");
+        let added = 0, skipped = 0;
+        for (const spec of GAME_REGISTRY.filter(s => s.puzzles)) {
+            if (!puzzleStore.puzzles[spec.id]) puzzleStore.puzzles[spec.id] = [];
+            const set = puzzleStore.puzzles[spec.id];
+            for (const entry of data.puzzles[spec.id] || []) {
+                if (set.some(p => p.id === entry.id)) continue;
+                try {
+                    const engine = createGame(spec.id, entry.rule ? { rule: entry.rule } : {});
+                    const { state } = engine.replay(engine.parseMoveList(entry.moves));
+                    const valid = engine.getValidMoves(state);
+                    if (engine.checkWin(state) !== null || !['win', 'defend'].includes(entry.kind)
+                        || !entry.solutions.length || !entry.solutions.every(a => valid.includes(a))) throw new Error("not a puzzle");
+                    set.push({ id: entry.id, rule: entry.rule || null, moves: entry.moves, kind: entry.kind,
+                        solutions: entry.solutions, winRate: entry.winRate, result: null });
+                    added++;
+                } catch (e) {
+                    skipped++;
+                }
+            }
+        }
+        savePuzzleStore();
+        alert(`Imported ${added} new puzzles` + (skipped ? ` (${skipped} invalid ones skipped)` : ''));
+        if (gameMode === 'puzzle' && !puzzle) nextPuzzle();
+        else renderPuzzlePanel();
+    } catch (e) {
+        alert(`Could not import the puzzle set: ${e.message}`);
+    }
+}
+
+// ==========================================
+// Board Editor (摆棋: 任意局面)
+// ==========================================
+
+// Open editor: { board, toPlay, tool }, tool = 1 (Black) | -1 (White) | 0 (erase); null = closed
+let editor = null;
+
+// The Position record header of a game started from a set-up position, null for the normal start
+function setupPosition() {
+    const board = gameEngine._getBoard(moveRoot.state, gameEngine.historyStep - 1);
+    if (moveRoot.toPlay === 1 && board.every(v => v === 0)) return null;
+    return gameEngine.formatPosition(board, moveRoot.toPlay);
+}
+
+// Start editing from the shown position; the game itself is only replaced by startFromEditor
+function openEditor() {
+    if (editor || isAiThinking || matchRunning || puzzleBusy() || !gameEngine) return;
+    clearTimeout(aiStartTimer);
+    stopPondering();
+    stopHint();
+    stopClock();
+    swap2 = null;
+    renderSwap2();
+    editor = {
+        board: Float32Array.from(gameEngine._getBoard(gameState, gameEngine.historyStep - 1)),
+        toPlay: currentToPlay,
+        tool: 1,
+    };
+    document.getElementById('editor-history').innerText = `An edited position has no move history: the ${gameEngine.historyStep} `
+        + `history planes SkyZero's network sees all hold the position itself, as if it had stood unchanged `
+        + `(the empty start position is encoded the same way). Moves played from it fill them as usual.`;
+    document.getElementById('editor-panel').classList.remove('hidden');
+    updateAnalysis(null);
+    renderEditor();
+}
+
+function renderEditor() {
+    drawBoard();
+    updateStatus();
+    document.querySelectorAll('#editor-tools button').forEach(b => b.classList.toggle('active', Number(b.dataset.tool) === editor.tool));
+    for (const r of document.getElementsByName('editorToPlay')) r.checked = Number(r.value) === editor.toPlay;
+    // Checked on every edit; a game can only start from a position that could come up in play
+    const problems = gameEngine.checkSetup(editor.board, editor.toPlay);
+    const uiProblems = document.getElementById('editor-problems');
+    uiProblems.innerText = problems.join('\n');
+    uiProblems.classList.toggle('hidden', problems.length === 0);
+    document.querySelectorAll('.editor-start').forEach(b => { b.disabled = problems.length > 0; });
+}
+
+// Board click while editing: place the selected piece or take one off (Connect 4 keeps gravity)
+function editBoard(action) {
+    editor.board = gameEngine.editBoard(editor.board, action, editor.tool);
+    // Follow the piece counts while they leave only one side to move
+    const toPlay = gameEngine.setupToPlay(editor.board);
+    if (toPlay !== null) editor.toPlay = toPlay;
+    renderEditor();
+}
+
+function setEditorTool(tool) {
+    editor.tool = tool;
+    renderEditor();
+}
+
+function setEditorToPlay(toPlay) {
+    editor.toPlay = toPlay;
+    renderEditor();
+}
+
+function clearEditor() {
+    editor.board = new Float32Array(editor.board.length);
+    editor.toPlay = 1;
+    renderEditor();
+}
+
+function closeEditor() {
+    if (!editor) return;
+    editor = null;
+    document.getElementById('editor-panel').classList.add('hidden');
+    drawBoard();
+}
+
+// Back to the game as it was
+function cancelEditor() {
+    closeEditor();
+    const winner = gameEngine.checkWin(gameState);
+    updateStatus(winner);
+    if (gameMode === 'analysis') startPondering();
+    else if (gameMode === 'play') {
+        if (winner === null && timeoutLoser === null) startClock(currentToPlay);
+        startAiTurnIfNeeded();
+    }
+}
+
+// A new game from the edited position, in play (vs SkyZero, who takes the other side) or analysis mode
+function startFromEditor(mode) {
+    if (gameEngine.checkSetup(editor.board, editor.toPlay).length > 0) return;
+    const start = { state: gameEngine.setupState(editor.board), toPlay: editor.toPlay };
+    gameMode = mode;
+    document.getElementById('mode-select').value = mode;
+    document.getElementById('match-panel').classList.add('hidden');
+    resetGame(start);
+}
+
+// ==========================================
+// Rule Variants & Swap2 (规则变体 / Swap2 开局)
+// ==========================================
+
+let gameRule = null;        // Key into gameSpec.ruleSets, null for games without variants
+let openingRule = 'normal'; // Key into gameSpec.openings; Swap2 applies to new games in play mode
+// Swap2 in progress: { phase, opener }, opener = 'human' | 'ai' (the tentative first player)
+//   place3  - opener places Black, White, Black
+//   choose  - the other player takes White, takes Black, or places two more stones
+//   place2  - the other player places White, then Black
+//   choose2 - the opener picks a colour
+// Stone colours still alternate; the protocol only decides who ends up with which colour.
+let swap2 = null;
+
+function getRuleOptions() {
+    return gameRule ? { rule: gameRule } : {};
+}
+
+// Rule / opening selects for the active game, generated from its registry entry
+function renderRuleControls() {
+    const box = document.getElementById('rule-controls');
+    const ruleSets = gameSpec.ruleSets;
+    box.classList.toggle('hidden', !ruleSets);
+    if (!ruleSets) {
+        gameRule = null;
+        openingRule = 'normal';
+        return;
+    }
+    const fill = (select, options, current) => {
+        select.innerHTML = Object.entries(options).map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+        select.value = current in options ? current : Object.keys(options)[0];
+        return select.value;
+    };
+    gameRule = fill(document.getElementById('rule-select'), ruleSets, gameRule);
+    openingRule = fill(document.getElementById('opening-select'), gameSpec.openings || { normal: 'Normal' }, openingRule);
+}
+
+// Rule set changes need new rules in the page and the worker (same model) and a new game
+function setGameRule(rule) {
+    stopPondering(); // The worker switches after the running search, so end it first
+    gameRule = rule;
+    document.getElementById('rule-select').value = rule;
+    gameEngine = createGame(activeGameType, getRuleOptions());
+    postToWorker('rules', { options: getRuleOptions() });
+}
+
+function updateRules() {
+    if (isAiThinking && swap2) {
+        // SkyZero is in the middle of the opening: keep showing the rules still in force
+        document.getElementById('rule-select').value = gameRule;
+        document.getElementById('opening-select').value = openingRule;
+        return;
+    }
+    openingRule = document.getElementById('opening-select').value;
+    setGameRule(document.getElementById('rule-select').value);
+    resetGame();
+}
+
+const otherPlayer = (who) => who === 'human' ? 'ai' : 'human';
+
+// Who places stones / who decides in the current Swap2 phase (null if nobody)
+function swap2Placer() {
+    if (!swap2) return null;
+    if (swap2.phase === 'place3') return swap2.opener;
+    if (swap2.phase === 'place2') return otherPlayer(swap2.opener);
+    return null;
+}
+
+function swap2Decider() {
+    if (!swap2) return null;
+    if (swap2.phase === 'choose') return otherPlayer(swap2.opener);
+    if (swap2.phase === 'choose2') return swap2.opener;
+    return null;
+}
+
+function startSwap2() {
+    // "You are: First" makes the human the tentative first player
+    swap2 = { phase: 'place3', opener: playerSide === 'first' ? 'human' : 'ai' };
+    renderSwap2();
+    updateStatus();
+    if (swap2.opener === 'ai') aiStartTimer = setTimeout(runSwap2Ai, 500);
+}
+
+// Called after every stone placed during the opening
+async function advanceSwap2() {
+    if (swap2.phase === 'place3' && currentNode.ply === 3) swap2.phase = 'choose';
+    else if (swap2.phase === 'place2' && currentNode.ply === 5) swap2.phase = 'choose2';
+    renderSwap2();
+    updateStatus();
+    if (swap2Decider() === 'ai' || swap2Placer() === 'ai') await runSwap2Ai();
+}
+
+function chooseSwap2(choice) {
+    if (!swap2 || swap2Decider() !== 'human' || isAiThinking) return;
+    if (choice === 'place2') {
+        if (swap2.phase !== 'choose') return;
+        swap2.phase = 'place2';
+        renderSwap2();
+        updateStatus();
+        return;
+    }
+    finishSwap2(choice === 'black' ? 'first' : 'second');
+}
+
+// Colours are settled: from here on it is a normal game with the human as `side`
+function finishSwap2(side) {
+    swap2 = null;
+    playerSide = side;
+    for (const r of document.getElementsByName('playerSide')) r.checked = r.value === playerSide;
+    renderSwap2();
+    updateStatus();
+    startAiTurnIfNeeded();
+}
+
+// SkyZero's part of the opening: place three balanced stones as the opener,
+// or pick the colour its search prefers as the decider. It never chooses to place two more.
+async function runSwap2Ai() {
+    const token = swap2;
+    const engine = gameEngine;
+    const isStale = () => swap2 !== token || gameEngine !== engine || gameMode !== 'play';
+    isAiThinking = true;
+    updateStatus();
+    try {
+        if (swap2Placer() === 'ai') {
+            const opening = await pickBalancedOpening(isStale);
+            if (isStale()) return;
+            postToWorker('reset'); // The candidate searches left an unrelated tree behind
+            for (const action of opening) {
+                playMove(action);
+                pressClock();
+            }
+            drawBoard();
+            isAiThinking = false;
+            await advanceSwap2();
+        } else {
+            // White is to move: take White if SkyZero's search likes that side, otherwise Black
+            const result = await callWorker('search', { state: gameState, toPlay: currentToPlay, config: getSearchConfig() });
+            if (isStale()) return;
+            recordAnalysis(currentNode, result);
+            isAiThinking = false;
+            finishSwap2(result.winRate >= 0.5 ? 'first' : 'second');
+        }
+    } catch (e) {
+        console.error(e);
+        if (!isStale()) {
+            uiStatus.innerText = `AI Error: ${e.message}`;
+            uiStatus.className = "status-bar mb-6 bg-red-100 text-red-600";
+        }
+    } finally {
+        if (!isStale()) isAiThinking = false;
+    }
+}
+
+// Random Black-White-Black openings around the centre; keep the one whose evaluation
+// (White to move) is closest to 50%, so the opponent's choice of colour is a real decision
+async function pickBalancedOpening(isStale) {
+    const size = gameSpec.rows;
+    const center = Math.floor(size / 2) * size + Math.floor(size / 2);
+    const near = (idx, dist) => {
+        const r = Math.floor(idx / size), c = idx % size;
+        const points = [];
+        for (let dr = -dist; dr <= dist; dr++) {
+            for (let dc = -dist; dc <= dist; dc++) {
+                const nr = r + dr, nc = c + dc;
+                if ((dr || dc) && nr >= 0 && nr < size && nc >= 0 && nc < size) points.push(nr * size + nc);
+            }
+        }
+        return points;
+    };
+    const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+    let best = null;
+    for (let i = 0; i < SWAP2_CONFIG.candidates; i++) {
+        const white = pick(near(center, 1));
+        const black = pick(near(center, 2).filter(a => a !== white));
+        const opening = [center, white, black];
+        const { state, toPlay } = gameEngine.replay(opening);
+        const result = await callWorker('search', {
+            state, toPlay,
+            config: { ...MCTS_CONFIG, numSimulations: SWAP2_CONFIG.openingSimulations },
+        });
+        if (isStale()) return null;
+        const balance = Math.abs(result.winRate - 0.5);
+        if (!best || balance < best.balance) best = { opening, balance };
+    }
+    return best.opening;
+}
+
+function renderSwap2() {
+    const show = !!swap2 && swap2Decider() === 'human';
+    document.getElementById('swap2-panel').classList.toggle('hidden', !show);
+    document.getElementById('swap2-place2').classList.toggle('hidden', !show || swap2.phase !== 'choose');
+}
+
+function swap2Prompt() {
+    const stone = currentNode.ply % 2 === 0 ? 'Black' : 'White';
+    if (swap2.phase === 'place3') {
+        return swap2.opener === 'human' ? `Swap2 · Place the opening: ${stone} (${currentNode.ply + 1}/3)` : "Swap2 · SkyZero is placing the opening...";
+    }
+    if (swap2.phase === 'place2') {
+        return swap2.opener === 'ai' ? `Swap2 · Place two more stones: ${stone} (${currentNode.ply - 2}/2)` : "Swap2 · SkyZero is placing two more stones...";
+    }
+    return swap2Decider() === 'human' ? "Swap2 · Choose your colour" : "Swap2 · SkyZero is choosing a colour...";
+}
+
+// ==========================================
+// Move Tree (着法树: 悔棋 / 重做 / 变化)
+// ==========================================
+
+class MoveNode {
+    constructor(state, toPlay, action = null, parent = null) {
+        this.state = state;
+        this.toPlay = toPlay;
+        this.action = action;   // Move that led here (null at the root)
+        this.parent = parent;
+        this.children = [];     // children[0] is the main line, the rest are variations
+        this.lastChild = null;  // Child visited most recently; "next" follows it
+        this.ply = parent ? parent.ply + 1 : 0;
+        this.analysis = null;   // Search from this position, see recordAnalysis
+        this.evaluation = null; // { winRate, rawWinRate } for toPlay: any search from here (timeline)
+    }
+}
+
+let moveRoot = null;
+let currentNode = null;
+
+function initMoveTree(state, toPlay) {
+    moveRoot = new MoveNode(state, toPlay);
+    setCurrentNode(moveRoot);
+}
+
+// A new move tree holding a single replayed line (AbstractGame.replay from `start`, null = the
+// normal start), with its last position selected
+function initMoveLine(replayed, start = null) {
+    if (start) initMoveTree(start.state, start.toPlay);
+    else initMoveTree(gameEngine.getInitialState(), 1);
+    let node = moveRoot;
+    replayed.positions.forEach((p, i) => {
+        const next = replayed.positions[i + 1] || replayed;
+        const child = new MoveNode(next.state, next.toPlay, p.action, node);
+        node.children.push(child);
+        node = child;
+    });
+    setCurrentNode(node);
+}
+
+// Sync the flat globals the rest of the UI reads from the selected node
+function setCurrentNode(node) {
+    currentNode = node;
+    gameState = node.state;
+    currentToPlay = node.toPlay;
+    if (node.parent) node.parent.lastChild = node;
+}
+
+function nextInLine(node) {
+    return node.lastChild || node.children[0] || null;
+}
+
+// Play `action` from the current node. Re-playing a known move reuses its node,
+// anything new is appended (a side variation if the node already had children).
+function playMove(action) {
+    let child = currentNode.children.find(c => c.action === action);
+    if (!child) {
+        const nextState = gameEngine.getNextState(gameState, action, currentToPlay);
+        child = new MoveNode(nextState, -currentToPlay, action, currentNode);
+        currentNode.children.push(child);
+    }
+    setCurrentNode(child);
+    stopPondering(); // Before the tree moves, so the worker ends that search first
+    postToWorker('advance', { action });
+    renderMoveList();
+    return child;
+}
+
+// Root -> node, followed by the last visited continuation when `toEnd` is set
+function getLine(node, toEnd = false) {
+    const line = [];
+    for (let n = node; n; n = n.parent) line.unshift(n);
+    if (toEnd) for (let n = nextInLine(node); n; n = nextInLine(n)) line.push(n);
+    return line;
+}
+
+// Jump to any node of the tree (move list click / navigation buttons)
+function goToNode(node) {
+    if (isAiThinking || matchRunning || swap2 || editor || puzzleBusy() || !node || node === currentNode) return;
+    setCurrentNode(node);
+    stopPondering();
+    postToWorker('reset');
+    if (canContinue()) holdClock();
+    else handClockTo(currentToPlay);
+
+    drawBoard();
+    // Positions reached by an AI move show the search that chose it
+    const origin = node.analysis ? node : (node.parent && node.parent.analysis ? node.parent : null);
+    updateAnalysis(origin ? origin.analysis : null, origin);
+    if (timeoutLoser !== null) updateStatus(-timeoutLoser, true);
+    else updateStatus(gameEngine.checkWin(gameState));
+    renderMoveList();
+    if (gameMode === 'analysis') startPondering();
+    else startBackgroundEval();
+}
+
+function goFirst() { goToNode(moveRoot); }
+function goPrev() { goToNode(currentNode.parent); }
+function goNext() { goToNode(nextInLine(currentNode)); }
+function goLast() { goToNode(getLine(currentNode, true).pop()); }
+
+document.addEventListener('keydown', (e) => {
+    if (e.target.closest('input, textarea, select, dialog')) return;
+    if (e.key === 'ArrowLeft') goPrev();
+    else if (e.key === 'ArrowRight') goNext();
+});
+
+function createMoveChip(node, showNumber) {
+    const chip = document.createElement('button');
+    chip.className = node === currentNode ? 'move-chip move-current' : 'move-chip';
+    const ply = moveRoot.toPlay === 1 ? node.ply : node.ply + 1; // Numbered by Black's moves
+    const num = Math.ceil(ply / 2);
+    let prefix = '';
+    if (ply % 2 === 1) prefix = `${num}. `;
+    else if (showNumber) prefix = `${num}… `;
+    chip.innerText = prefix + gameEngine.moveLabel(node.action);
+    chip.onclick = () => goToNode(node);
+    return chip;
+}
+
+// The selected line in full, with the side variations that branch off it in brackets
+function renderMoveList() {
+    renderTimeline(); // Same line, plotted
+    saveSession(); // Called after every change to the game
+    updateShareLink();
+    const container = document.getElementById('move-list');
+    container.innerHTML = '';
+    const line = getLine(currentNode, true).slice(1);
+    if (line.length === 0) {
+        container.innerHTML = '<span class="text-gray-400 text-xs">No moves yet</span>';
+        return;
+    }
+
+    line.forEach((node, i) => {
+        container.appendChild(createMoveChip(node, i === 0));
+        for (const sibling of node.parent.children) {
+            if (sibling === node) continue;
+            const variation = document.createElement('span');
+            variation.className = 'move-variation';
+            for (let n = sibling; n; n = nextInLine(n)) variation.appendChild(createMoveChip(n, n === sibling));
+            container.appendChild(variation);
+        }
+    });
+
+    const current = container.querySelector('.move-current');
+    if (current) current.scrollIntoView({ block: 'nearest' });
+}
+
+// ==========================================
+// Win Rate Timeline (胜率曲线)
+// ==========================================
+
+let evalSearch = null; // Promise of the running background evaluation
+
+// Play mode: SkyZero only searches its own positions, so give the human's position a short
+// search of its own. Nothing is shown but the timeline point.
+function startBackgroundEval() {
+    const node = currentNode;
+    if (gameMode !== 'play' || swap2 || isAiThinking || evalSearch || node.evaluation
+        || timeoutLoser !== null || !isHumanToPlace() || gameEngine.checkWin(node.state) !== null) return;
+    const engine = gameEngine;
+    const config = { ...MCTS_CONFIG, numSimulations: TIMELINE_CONFIG.backgroundSimulations, dirichletEpsilon: 0 };
+    const search = callWorker('search', { state: node.state, toPlay: node.toPlay, config });
+    evalSearch = search;
+    // Left to finish even if the human moves meanwhile: it is short and the point stays valid
+    search.then((result) => {
+        if (result.cancelled || gameEngine !== engine || node.evaluation) return;
+        node.evaluation = { winRate: result.winRate, rawWinRate: result.rawWinRate ?? null };
+        renderTimeline();
+    }).catch((e) => console.error(e)).finally(() => {
+        if (evalSearch === search) evalSearch = null;
+    });
+}
+
+// Win rates of a position for its side to move; finished games are scored directly
+function evaluationOf(node) {
+    const winner = gameEngine.checkWin(node.state);
+    if (winner !== null) {
+        const score = winner === 0 ? 0.5 : (winner === node.toPlay ? 1 : 0);
+        return { winRate: score, rawWinRate: score };
+    }
+    return node.evaluation;
+}
+
+// The selected line, one point per position; a move that costs its player more than
+// `blunderDrop` of win rate is flagged on the position it leads to
+function timelinePoints() {
+    const side = perspectiveSide();
+    const line = getLine(currentNode, true);
+    return line.map((node, ply) => {
+        const ev = evaluationOf(node);
+        const view = (p) => (p === null || p === undefined ? null : (node.toPlay === side ? p : 1 - p));
+        const point = { node, ply, mcts: ev ? view(ev.winRate) : null, raw: ev ? view(ev.rawWinRate) : null, blunder: null };
+        const prev = ply > 0 ? evaluationOf(line[ply - 1]) : null;
+        if (prev && ev) {
+            const drop = prev.winRate - (1 - ev.winRate); // For the side that moved
+            if (drop >= TIMELINE_CONFIG.blunderDrop) point.blunder = { side: line[ply - 1].toPlay, before: prev.winRate, after: 1 - ev.winRate };
+        }
+        return point;
+    });
+}
+
+function renderTimeline() {
+    const host = document.getElementById('timeline');
+    const points = timelinePoints();
+    const width = host.clientWidth || 300, height = host.clientHeight || 120;
+    const pad = { left: 26, right: 6, top: 6, bottom: 14 };
+    const plies = Math.max(1, points.length - 1);
+    const x = (ply) => pad.left + (width - pad.left - pad.right) * ply / plies;
+    const y = (p) => pad.top + (height - pad.top - pad.bottom) * (1 - p);
+    const path = (key) => {
+        let d = '', pen = false;
+        for (const pt of points) {
+            if (pt[key] === null) { pen = false; continue; }
+            d += `${pen ? 'L' : 'M'}${x(pt.ply).toFixed(1)},${y(pt[key]).toFixed(1)}`;
+            pen = true;
+        }
+        return d;
+    };
+
+    const NS = 'http://www.w3.org/2000/svg';
+    const el = (tag, attrs, parent) => {
+        const node = document.createElementNS(NS, tag);
+        for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, v);
+        parent.appendChild(node);
+        return node;
+    };
+    const svg = document.createElementNS(NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    for (const p of [0, 0.5, 1]) {
+        el('line', { x1: pad.left, x2: width - pad.right, y1: y(p), y2: y(p), class: p === 0.5 ? 'timeline-mid' : 'timeline-grid' }, svg);
+        el('text', { x: pad.left - 4, y: y(p) + 3, 'text-anchor': 'end', class: 'timeline-axis' }, svg).textContent = `${p * 100}%`;
+    }
+    const sideName = perspectiveSide() === 1 ? 'Black' : 'White';
+    el('text', { x: pad.left, y: height - 2, class: 'timeline-axis' }, svg).textContent = `${sideName} · ply`;
+    el('text', { x: width - pad.right, y: height - 2, 'text-anchor': 'end', class: 'timeline-axis' }, svg).textContent = points.length - 1;
+    el('line', { x1: x(currentNode.ply), x2: x(currentNode.ply), y1: pad.top, y2: height - pad.bottom, class: 'timeline-current' }, svg);
+    el('path', { d: path('raw'), class: 'timeline-raw' }, svg);
+    el('path', { d: path('mcts'), class: 'timeline-mcts' }, svg);
+
+    for (const pt of points) {
+        if (pt.mcts === null) continue;
+        const dot = el('circle', { cx: x(pt.ply), cy: y(pt.mcts), r: pt.blunder ? 4.5 : 2.5, class: `timeline-point${pt.blunder ? ' blunder' : ''}` }, svg);
+        const label = pt.ply === 0 ? 'Start' : `${pt.ply}. ${gameEngine.moveLabel(pt.node.action)}`;
+        let title = `${label} · ${sideName} ${(pt.mcts * 100).toFixed(1)}%`;
+        if (pt.raw !== null) title += ` (raw ${(pt.raw * 100).toFixed(1)}%)`;
+        if (pt.blunder) {
+            const b = pt.blunder;
+            title += `\nBlunder by ${b.side === 1 ? 'Black' : 'White'}: ${(b.before * 100).toFixed(0)}% → ${(b.after * 100).toFixed(0)}%`;
+        }
+        el('title', {}, dot).textContent = title;
+    }
+
+    // Click anywhere: jump to the nearest ply
+    svg.onclick = (e) => {
+        const rect = svg.getBoundingClientRect();
+        const px = rect.width ? (e.clientX - rect.left) * width / rect.width : 0;
+        const ply = Math.round((px - pad.left) / (width - pad.left - pad.right) * plies);
+        const target = points[Math.max(0, Math.min(points.length - 1, ply))];
+        if (target) goToNode(target.node);
+    };
+    host.replaceChildren(svg);
+}
+
+// ==========================================
+// Game Records (棋谱导入 / 导出)
+// ==========================================
+
+function getRecordResult() {
+    if (timeoutLoser !== null) return { Result: timeoutLoser === 1 ? '0-1' : '1-0', Termination: 'time forfeit' };
+    const winner = gameEngine.checkWin(getLine(currentNode, true).pop().state);
+    if (winner === null) return { Result: '*' };
+    if (winner === 0) return { Result: '1/2-1/2' };
+    return { Result: winner === 1 ? '1-0' : '0-1' };
+}
+
+function buildRecordHeaders() {
+    const human = playerSide === 'first' ? 1 : -1;
+    const config = getSearchConfig();
+    return {
+        Date: new Date().toISOString().slice(0, 10).replace(/-/g, '.'),
+        Black: human === 1 ? 'You' : 'SkyZero',
+        White: human === -1 ? 'You' : 'SkyZero',
+        Level: difficulty,
+        Simulations: config.numSimulations,
+        CPuct: config.c_puct,
+        TimeControl: document.getElementById('time-control-select').value,
+        Rule: gameRule,
+        Opening: openingRule !== 'normal' ? openingRule : null,
+        Hints: hintsUsed || null,
+        Position: setupPosition(),
+        ...getRecordResult()
+    };
+}
+
+function exportRecord() {
+    // The selected line through to its end
+    const moves = getLine(currentNode, true).slice(1).map(n => n.action);
+    return gameEngine.toRecord(moves, buildRecordHeaders());
+}
+
+// Parse, validate and set up a record. Everything is checked before the board is touched,
+// so a bad record leaves the current game as it was.
+async function loadRecord(text) {
+    const recordGame = detectRecordGame(text);
+    const spec = recordGame ? findGameByRecordName(recordGame) : gameSpec;
+    if (!spec) throw new Error(`Unknown game "${recordGame}"`);
+    const type = spec.id;
+
+    const { headers, moves } = createGame(type).parseRecord(text);
+    // Replay under the record's rule set (Renju forbids moves the other rules allow)
+    const rule = spec.ruleSets ? (headers.Rule || (type === activeGameType ? gameRule : Object.keys(spec.ruleSets)[0])) : null;
+    if (rule && !(rule in spec.ruleSets)) throw new Error(`Unknown rule set "${rule}"`);
+    const engine = createGame(type, rule ? { rule } : {});
+    const start = headers.Position ? engine.parsePosition(headers.Position) : null; // Set-up position
+    const replayed = engine.replay(moves, start);
+
+    if (isAiThinking) throw new Error("Please wait for SkyZero to finish its move");
+    if (type !== activeGameType && !(await switchGame(type))) return;
+    closeEditor();
+    clearTimeout(aiStartTimer);
+    stopHint();
+    swap2 = null;
+    renderSwap2();
+    if (rule && rule !== gameRule) setGameRule(rule);
+    hintsUsed = Number(headers.Hints) || 0;
+
+    // Sides and engine level from the headers, when present
+    if (headers.Black === 'SkyZero' || headers.White === 'SkyZero') {
+        playerSide = headers.Black === 'SkyZero' ? 'second' : 'first';
+        for (const r of document.getElementsByName('playerSide')) r.checked = r.value === playerSide;
+    }
+    if (DIFFICULTY_PRESETS[type][headers.Level]) {
+        difficulty = headers.Level;
+        document.getElementById('difficulty-select').value = difficulty;
+    }
+
+    initMoveLine(replayed, start);
+    postToWorker('reset');
+    resetClocks(); // Imported games restart with full clocks
+
+    drawBoard();
+    updateAnalysis(null);
+    renderMoveList();
+    const win = gameEngine.checkWin(gameState);
+    if (win !== null) stopClock();
+    updateStatus(win);
+
+    if (gameMode === 'analysis') startPondering();
+    else if (gameMode === 'puzzle') puzzle = null; // Just the record to look through; "Next puzzle" goes on
+    else await startAiTurnIfNeeded();
+}
+
+function openRecordDialog() {
+    document.getElementById('record-text').value = exportRecord();
+    document.getElementById('record-error').classList.add('hidden');
+    document.getElementById('record-dialog').showModal();
+}
+
+function closeRecordDialog() {
+    document.getElementById('record-dialog').close();
+}
+
+async function copyRecord() {
+    await navigator.clipboard.writeText(document.getElementById('record-text').value);
+}
+
+function downloadRecord() {
+    const text = document.getElementById('record-text').value;
+    const ext = gameSpec.recordExt;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    link.download = `skyzero-${activeGameType}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function openRecordFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+    file.text().then(text => { document.getElementById('record-text').value = text; });
+    input.value = '';
+}
+
+async function importRecord() {
+    const uiError = document.getElementById('record-error');
+    try {
+        uiError.classList.add('hidden');
+        const text = document.getElementById('record-text').value;
+        closeRecordDialog();
+        await loadRecord(text);
+    } catch (e) {
+        uiError.innerText = e.message;
+        uiError.classList.remove('hidden');
+        document.getElementById('record-dialog').showModal();
+    }
+}
+
+// ==========================================
+// Autosave (localStorage: 设置 / 当前标签页 / 当前对局)
+// ==========================================
+
+const SAVE_KEY = 'skyzero-session';
+let restoringSession = false; // Loading the saved session: don't overwrite it half-way
+
+// Saved after every move (renderMoveList) and when the page is left; the game is kept as its
+// record, so a restored game is the selected line with its headers (sides, level, rule, hints)
+function saveSession() {
+    if (restoringSession || !gameEngine) return;
+    try {
+        localStorage.setItem(SAVE_KEY, JSON.stringify({
+            tab: activeGameType,
+            settings: {
+                mode: gameMode,
+                playerSide,
+                difficulty,
+                timeControl: document.getElementById('time-control-select').value,
+                symmetry: MCTS_CONFIG.symmetry,
+                evaluator: evaluatorChoice,
+                rule: gameRule,
+                opening: openingRule,
+                perspective: winRatePerspective,
+                policyMode,
+                hintTop: document.getElementById('hint-top').checked,
+                coordinates: document.getElementById('show-coords').checked,
+                moveNumbers: document.getElementById('show-move-numbers').checked,
+            },
+            record: exportRecord(),
+        }));
+    } catch (e) {
+        console.warn("Could not save the session:", e); // Storage full or disabled
+    }
+}
+
+window.addEventListener('pagehide', saveSession);
+
+// Set a <select> to a saved value if it still offers it
+function restoreSelect(id, value) {
+    const select = document.getElementById(id);
+    if (value === undefined || !select.querySelector(`option[value="${value}"]`)) return false;
+    select.value = value;
+    return true;
+}
+
+// Settings first (so the game loads with them), then the tab, the mode and the game itself.
+// Anything missing or no longer valid keeps its default.
+async function restoreSession() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(SAVE_KEY));
+    } catch (e) {
+        console.warn("Ignoring the saved session:", e);
+    }
+    if (!saved || !GAME_REGISTRY.some(spec => spec.id === saved.tab)) {
+        await switchGame(GAME_REGISTRY[0].id);
+        return;
+    }
+
+    const s = saved.settings || {};
+    restoringSession = true;
+    try {
+        if (s.playerSide === 'first' || s.playerSide === 'second') {
+            playerSide = s.playerSide;
+            for (const r of document.getElementsByName('playerSide')) r.checked = r.value === playerSide;
+        }
+        if (restoreSelect('difficulty-select', s.difficulty)) difficulty = s.difficulty;
+        if (restoreSelect('time-control-select', s.timeControl)) timeControl = TIME_CONTROLS[s.timeControl];
+        if (restoreSelect('symmetry-select', s.symmetry)) MCTS_CONFIG.symmetry = s.symmetry;
+        if (s.evaluator in EVALUATOR_LABELS) evaluatorChoice = s.evaluator;
+        if (restoreSelect('perspective-select', s.perspective)) winRatePerspective = s.perspective;
+        if (['visits', 'prior', 'diff'].includes(s.policyMode)) policyMode = s.policyMode;
+        document.getElementById('hint-top').checked = !!s.hintTop;
+        if (s.coordinates !== undefined) document.getElementById('show-coords').checked = !!s.coordinates;
+        document.getElementById('show-move-numbers').checked = !!s.moveNumbers;
+        gameRule = s.rule || null; // renderRuleControls keeps it if the game has that rule set
+
+        if (!(await switchGame(saved.tab))) return;
+        if (s.mode !== gameMode && restoreSelect('mode-select', s.mode)) updateMode();
+        if (saved.record && gameMode !== 'puzzle') await loadRecord(saved.record); // Puzzle mode shows the next puzzle
+        // Set after the game is loaded, so a Swap2 opening does not start before the saved moves are back
+        if (gameSpec.openings && restoreSelect('opening-select', s.opening)) openingRule = s.opening;
+    } catch (e) {
+        console.warn("Could not restore the saved game:", e);
+    } finally {
+        restoringSession = false;
+        saveSession();
+    }
+}
+
+// ==========================================
+// Share Links (URL hash: 游戏 / 局面 / 设置)
+// ==========================================
+
+// #game=c4&moves=4453&side=first&level=master[&rule=renju][&mode=analysis][&symmetry=all][&evaluator=heuristic][&position=...]
+//   moves: the line up to the shown position, in record notation (formatMoveList)
+//   position: the set-up start position of an edited game (AbstractGame.formatPosition)
+// Settings at their defaults are left out. The hash follows the game as it goes on.
+function shareLinkHash() {
+    const params = {
+        game: activeGameType,
+        moves: gameEngine.formatMoveList(getLine(currentNode).slice(1).map(n => n.action)),
+        side: playerSide,
+        level: difficulty,
+    };
+    if (gameRule) params.rule = gameRule;
+    if (gameMode !== 'play' && gameMode !== 'puzzle') params.mode = gameMode; // Puzzles come from the puzzle set
+    if (MCTS_CONFIG.symmetry !== 'none') params.symmetry = MCTS_CONFIG.symmetry;
+    if (evaluatorChoice !== 'network') params.evaluator = evaluatorChoice;
+    const position = setupPosition();
+    if (position) params.position = position;
+    // Commas (Gomoku / Tic-Tac-Toe move separators) and slashes (position rows) are fine in a fragment
+    return '#' + Object.entries(params)
+        .map(([k, v]) => `${k}=${encodeURIComponent(v).replace(/%2C/g, ',').replace(/%2F/g, '/')}`).join('&');
+}
+
+function updateShareLink() {
+    if (restoringSession || !gameEngine || !currentNode || editor) return;
+    const hash = shareLinkHash();
+    // replaceState: no history entry per move, and no hashchange event
+    if (location.hash !== hash) history.replaceState(null, '', hash);
+}
+
+async function copyShareLink() {
+    updateShareLink();
+    await navigator.clipboard.writeText(location.href);
+    const btn = document.getElementById('share-btn');
+    btn.innerText = '已复制';
+    setTimeout(() => { btn.innerText = '分享链接'; }, 1500);
+}
+
+// The link's parameters, or null if the hash is not a share link
+function readShareLink() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    return params.has('game') ? params : null;
+}
+
+// Load the linked game: settings, then switchGame, then the moves (replayed and checked like a
+// record) up to the linked position, from where play or analysis continues
+async function openShareLink(params) {
+    try {
+        const spec = getGameSpec(params.get('game'));
+        const rule = spec.ruleSets && params.get('rule') in spec.ruleSets ? params.get('rule') : null;
+        // Parsed and replayed before anything changes, so a broken link leaves the current game alone
+        const engine = createGame(spec.id, rule ? { rule } : {});
+        const moves = engine.parseMoveList(params.get('moves') || '');
+        const position = params.get('position');
+        engine.replay(moves, position ? engine.parsePosition(position) : null);
+
+        const side = params.get('side') === 'second' ? 'second' : 'first';
+        playerSide = side;
+        for (const r of document.getElementsByName('playerSide')) r.checked = r.value === side;
+        if (restoreSelect('difficulty-select', params.get('level') || 'master')) difficulty = document.getElementById('difficulty-select').value;
+        if (restoreSelect('symmetry-select', params.get('symmetry') || 'none')) MCTS_CONFIG.symmetry = document.getElementById('symmetry-select').value;
+        const evaluator = params.get('evaluator') || 'network';
+        if (evaluator in EVALUATOR_LABELS) evaluatorChoice = evaluator;
+        if (rule) gameRule = rule;
+
+        restoringSession = true;
+        if (!(await switchGame(spec.id))) return;
+        const mode = params.get('mode') || 'play';
+        if (mode !== gameMode && restoreSelect('mode-select', mode)) updateMode();
+
+        const headers = {
+            Black: side === 'first' ? 'You' : 'SkyZero',
+            White: side === 'second' ? 'You' : 'SkyZero',
+            Level: difficulty,
+            Rule: rule,
+            Position: position,
+        };
+        await loadRecord(gameEngine.toRecord(moves, headers));
+    } catch (e) {
+        console.error(e);
+        alert(`Could not open the shared link: ${e.message}`);
+        if (!gameEngine) await switchGame(GAME_REGISTRY[0].id); // Opened on page load: start normally
+    } finally {
+        restoringSession = false;
+        updateShareLink();
+        saveSession();
+    }
+}
+
+// A link pasted into the address bar of an open page
+window.addEventListener('hashchange', () => {
+    const link = readShareLink();
+    if (link) openShareLink(link);
+});
+
+// ==========================================
+// 4. Rendering
+// ==========================================
+
+// Board renderers, selected by the registry's `renderer`.
+//   mount(host, spec): build the static board DOM when the game is selected
+//   draw(host, board, spec, forbidden, editing): show the current board (flat array, 1 = Black, -1 = White);
+//     `forbidden` maps the points the side to move may not play to the reason (Renju); with
+//     `editing` set (board editor) every cell / column takes clicks, occupied or full ones too
+//   cells(host): the drawn cell elements in board index order (for overlays such as the PV preview)
+//   hintTarget(host, action): the element to mark when `action` is suggested (a cell, or a column button)
+// Renderers with row / column labels build them in mount, as `.board-coords`; they show while the
+// host has `show-coords` (the Coordinates toggle).
+const BOARD_RENDERERS = {
+    // Click a cell; ✕ / ○ marks (Tic-Tac-Toe)
+    marks: {
+        mount(host, spec) {
+            host.className = 'grid gap-3 mx-auto';
+            host.style.gridTemplateColumns = `repeat(${spec.cols}, minmax(0, 1fr))`;
+        },
+        draw(host, board, spec) {
+            host.innerHTML = '';
+            for (let i = 0; i < spec.rows * spec.cols; i++) {
+                const cell = document.createElement('div');
+                cell.className = 'ttt-cell';
+                if (board[i] === 1) cell.innerHTML = '<span class="ttt-x">✕</span>';
+                else if (board[i] === -1) cell.innerHTML = '<span class="ttt-o">○</span>';
+                cell.onclick = () => handleInput(i);
+                host.appendChild(cell);
+            }
+        },
+        cells: (host) => host.children,
+        hintTarget(host, action) { return this.cells(host)[action]; },
+    },
+    // Drop buttons above a grid; one action per column (Connect 4)
+    columns: {
+        mount(host, spec) {
+            host.className = 'flex flex-col items-center';
+            const buttons = document.createElement('div');
+            buttons.className = 'grid gap-2 mb-2';
+            buttons.style.gridTemplateColumns = `repeat(${spec.cols}, minmax(0, 1fr))`;
+            const grid = document.createElement('div');
+            grid.className = 'bg-blue-500 p-3 rounded-lg shadow-xl grid gap-2';
+            grid.style.gridTemplateColumns = `repeat(${spec.cols}, minmax(0, 1fr))`;
+
+            for (let c = 0; c < spec.cols; c++) {
+                const btn = document.createElement('button');
+                btn.className = 'c4-btn';
+                btn.innerHTML = '▼';
+                btn.dataset.col = c;
+                btn.onclick = () => handleInput(c); // Col index
+                buttons.appendChild(btn);
+            }
+            for (let i = 0; i < spec.rows * spec.cols; i++) {
+                const cell = document.createElement('div');
+                cell.className = 'c4-cell';
+                grid.appendChild(cell);
+            }
+            // Columns numbered as in the record notation, rows from the bottom
+            const framed = document.createElement('div');
+            framed.className = 'relative';
+            framed.append(coordStrip('c4-coords-rows', spec.rows, r => spec.rows - r), grid);
+            host.append(buttons, framed, coordStrip('c4-coords-cols', spec.cols, c => c + 1));
+        },
+        draw(host, board, spec, forbidden, editing = false) {
+            host.querySelectorAll('.c4-cell').forEach((cell, idx) => {
+                cell.className = 'c4-cell';
+                cell.replaceChildren(); // Overlays such as PV move numbers
+                if (board[idx] === 1) cell.classList.add('c4-red');
+                else if (board[idx] === -1) cell.classList.add('c4-yellow');
+            });
+            // Disable a column once its top cell is filled (the editor can still take discs off)
+            host.querySelectorAll('.c4-btn').forEach(btn => {
+                btn.disabled = !editing && board[Number(btn.dataset.col)] !== 0;
+                btn.className = 'c4-btn';
+                btn.removeAttribute('title');
+                btn.replaceChildren('▼'); // Drop a hint badge
+            });
+        },
+        cells: (host) => host.querySelectorAll('.c4-cell'),
+        hintTarget: (host, action) => host.querySelector(`.c4-btn[data-col="${action}"]`),
+    },
+    // Stones on the intersections of a wooden board (Gomoku)
+    stones: {
+        mount(host, spec) {
+            host.className = 'gomoku-board relative bg-[#DEB887] rounded shadow-lg p-1';
+            host.style.setProperty('--rows', spec.rows);
+            host.style.setProperty('--cols', spec.cols);
+            const grid = document.createElement('div');
+            grid.className = 'gomoku-grid';
+            // Letters and numbers as in gridCoordLabel (A1 is the bottom-left point)
+            const corner = document.createElement('div');
+            corner.className = 'board-coords';
+            host.append(corner, coordStrip('gomoku-coords-cols', spec.cols, c => String.fromCharCode(65 + c)),
+                coordStrip('gomoku-coords-rows', spec.rows, r => spec.rows - r), grid);
+        },
+        draw(host, board, spec, forbidden) {
+            const grid = host.querySelector('.gomoku-grid');
+            grid.replaceChildren();
+            for (let i = 0; i < spec.rows * spec.cols; i++) {
+                const cell = document.createElement('div');
+                cell.className = 'gomoku-cell';
+                cell.onclick = () => handleInput(i);
+                if (board[i] === 1) cell.innerHTML = '<div class="gomoku-stone gomoku-black"></div>';
+                else if (board[i] === -1) cell.innerHTML = '<div class="gomoku-stone gomoku-white"></div>';
+                else if (forbidden.has(i)) {
+                    cell.innerHTML = '<span class="gomoku-forbidden">✕</span>';
+                    cell.title = `Forbidden for Black (${forbidden.get(i)})`;
+                }
+                grid.appendChild(cell);
+            }
+        },
+        cells: (host) => host.querySelectorAll('.gomoku-cell'),
+        hintTarget(host, action) { return this.cells(host)[action]; },
+    },
+};
+
+// A row of board labels for the Coordinates toggle: `label(i)` for i = 0 .. count - 1
+function coordStrip(className, count, label) {
+    const strip = document.createElement('div');
+    strip.className = `board-coords ${className}`;
+    for (let i = 0; i < count; i++) {
+        const span = document.createElement('span');
+        span.innerText = label(i);
+        strip.appendChild(span);
+    }
+    return strip;
+}
+
+// The cell a move filled: the one that is empty before it and taken after (a column move's disc)
+function placedCell(before, after) {
+    const planeOf = (s) => gameEngine._getBoard(s, gameEngine.historyStep - 1);
+    const from = planeOf(before), to = planeOf(after);
+    return to.findIndex((v, i) => v !== 0 && from[i] === 0);
+}
+
+function drawBoard() {
+    const renderer = BOARD_RENDERERS[gameSpec.renderer];
+    uiBoard.classList.toggle('show-coords', document.getElementById('show-coords').checked);
+    if (editor) return renderer.draw(uiBoard, editor.board, gameSpec, new Map(), true);
+    const board = gameEngine._getBoard(gameState, gameEngine.historyStep - 1); // Get current plane
+    renderer.draw(uiBoard, board, gameSpec, gameEngine.getForbiddenPoints(gameState));
+    markMoves(renderer.cells(uiBoard));
+    if (hint && hint.node === currentNode) showHint();
+}
+
+// On top of the drawn position: the last move, every move's number (Move numbers toggle), and
+// the winning line once the game is won
+function markMoves(cells) {
+    const line = getLine(currentNode).slice(1);
+    const showNumbers = document.getElementById('show-move-numbers').checked;
+    for (const node of showNumbers ? line : line.slice(-1)) {
+        const cell = cells[placedCell(node.parent.state, node.state)];
+        if (node === currentNode) cell.classList.add('last-move');
+        if (showNumbers) {
+            const number = document.createElement('span');
+            number.className = 'move-number';
+            number.innerText = node.ply;
+            cell.appendChild(number);
+        }
+    }
+    const won = gameEngine.winningLine(gameState);
+    if (won) won.forEach(i => cells[i].classList.add('win-cell'));
+}
+
+function updateStatus(winner = null, onTime = false) {
+    updateHintButton();
+    document.getElementById('continue-btn').classList.toggle('hidden', !canContinue());
+    if (editor) {
+        uiStatus.innerText = `摆棋 (Editing) · ${editor.toPlay === 1 ? 'Black' : 'White'} to move`;
+        uiStatus.className = "status-bar mb-6 bg-amber-100 text-amber-700";
+        return;
+    }
+    if (gameMode === 'puzzle') {
+        const [text, colours] = puzzleStatus();
+        uiStatus.innerText = text;
+        uiStatus.className = `status-bar mb-6 ${colours}`;
+        return;
+    }
+    if (gameMode !== 'play') {
+        // Hotseat / AI vs AI: report by colour instead of You / SkyZero
+        const label = gameMode === 'analysis' ? 'Analysis' : 'AI vs AI';
+        if (winner === 0) uiStatus.innerText = "平局 (Draw)";
+        else if (winner !== null) uiStatus.innerText = `${winner === 1 ? 'Black' : 'White'} Wins`;
+        else uiStatus.innerText = `${label} · ${currentToPlay === 1 ? 'Black' : 'White'} to move`;
+        uiStatus.className = "status-bar mb-6 bg-amber-100 text-amber-700";
+        return;
+    }
+    if (swap2 && winner === null) {
+        uiStatus.innerText = swap2Prompt();
+        uiStatus.className = "status-bar mb-6 bg-amber-100 text-amber-700";
+        return;
+    }
+    if (winner !== null) {
+        const suffix = onTime ? " (on time ⏰)" : "";
+        if (winner === 0) {
+            uiStatus.innerText = "平局 (Draw)";
+            uiStatus.className = "status-bar mb-6 bg-pink-100 text-pink-600";
+        } else {
+            const human = playerSide === 'first' ? 1 : -1;
+            if (winner === human) {
+                uiStatus.innerText = "🎉 You Win!" + suffix;
+                uiStatus.className = "status-bar mb-6 bg-red-100 text-red-600";
+            } else {
+                uiStatus.innerText = "🤖 SkyZero Wins!" + suffix;
+                uiStatus.className = "status-bar mb-6 bg-green-100 text-green-600";
+            }
+        }
+    } else {
+        if (isAiThinking) {
+            uiStatus.innerText = "Thinking... (MCTS)";
+            uiStatus.className = "status-bar mb-6 bg-indigo-100 text-indigo-600";
+        } else {
+            const human = playerSide === 'first' ? 1 : -1;
+            if (currentToPlay === human) {
+                uiStatus.innerText = "Your Turn";
+                uiStatus.className = "status-bar mb-6 bg-blue-100 text-blue-600";
+            } else if (canContinue()) {
+                uiStatus.innerText = "SkyZero to move · 继续 to let it play";
+                uiStatus.className = "status-bar mb-6 bg-gray-100 text-gray-600";
+            } else {
+                uiStatus.innerText = "Waiting...";
+                uiStatus.className = "status-bar mb-6 bg-gray-100 text-gray-600";
+            }
+        }
+    }
+}
+
+// Policy views for the analysis panel, selected by the registry's `policyView`.
+// Each draws `values` (one per action) into `container`: a distribution (visit shares or priors),
+// or with `signed` set a difference of two (positive red, negative blue).
+// `board` is the position they belong to; occupied cells are greyed out.
+const POLICY_VIEWS = {
+    bars(container, values, spec, board, signed) {
+        // One bar per column (Connect 4)
+        const chart = document.createElement('div');
+        chart.className = 'policy-bar-container';
+    
+        // Find max for scaling
+        const maxValue = Math.max(...values);
+    
+        for(let c=0; c<spec.actionSpace; c++) {
+            const prob = Math.abs(values[c]);
             const wrapper = document.createElement('div');
             wrapper.className = 'policy-bar-wrapper';
-            
+        
             const bar = document.createElement('div');
             bar.className = 'policy-bar';
-            // Scale bar relative to highest prob for better visualization, but cap it?
-            // Actually, let's just use absolute probability height.
-            // If prob is 0.5, height is 50%.
+            // Absolute probability height: if prob is 0.5, height is 50%.
             bar.style.height = `${Math.max(4, prob * 100)}%`; 
-            
+        
             // Color logic
-            const isBest = counts[c] === maxCount && counts[c] > 0;
-            if (isBest) {
-                bar.style.backgroundColor = '#ef4444'; // Red-500 (Best)
-                bar.style.opacity = '1';
-            } else {
-                bar.style.backgroundColor = '#ef4444'; 
-                bar.style.opacity = Math.max(0.3, prob + 0.2);
-            }
-            
+            const isBest = values[c] === maxValue && values[c] > 0;
+            bar.style.backgroundColor = values[c] < 0 ? '#3b82f6' : '#ef4444'; // Blue-500 / Red-500
+            bar.style.opacity = isBest ? '1' : Math.max(0.3, prob + 0.2);
+        
             const label = document.createElement('div');
             label.className = 'policy-label';
             // Show % only if > 0, but use non-breaking space to maintain height
-            label.innerHTML = prob > 0.01 ? (prob * 100).toFixed(0) + '%' : '&nbsp;';
-            
+            const sign = signed && values[c] > 0 ? '+' : (values[c] < 0 ? '-' : '');
+            label.innerHTML = prob > 0.01 ? sign + (prob * 100).toFixed(0) + '%' : '&nbsp;';
+        
             wrapper.appendChild(bar);
             wrapper.appendChild(label);
             chart.appendChild(wrapper);
         }
         container.appendChild(chart);
-        
-    } else {
-        // Grid Heatmap for TTT / Gomoku
-        const size = activeGameType === 'ttt' ? 3 : 9;
+    },
+    heatmap(container, values, spec, board, signed) {
+        // One cell per board point (TTT / Gomoku)
         const grid = document.createElement('div');
         grid.className = 'policy-heatmap-grid';
-        grid.style.gridTemplateColumns = `repeat(${size}, 1fr)`;
-        grid.style.gridTemplateRows = `repeat(${size}, 1fr)`;
-        
+        grid.style.gridTemplateColumns = `repeat(${spec.cols}, 1fr)`;
+        grid.style.gridTemplateRows = `repeat(${spec.rows}, 1fr)`;
+    
         // Calculate cell size to fit container, maintaining aspect ratio
         // Container has w-full min-h-[200px].
         // Let's rely on CSS Grid + specific width/height.
         const dim = Math.min(container.offsetWidth, container.offsetHeight || 200) - 20;
-        grid.style.width = `${dim}px`;
-        grid.style.height = `${dim}px`;
-        
-        const board = gameEngine._getBoard(gameState, gameEngine.historyStep - 1);
-        const maxCount = Math.max(...counts);
+        grid.style.width = `${dim * Math.min(1, spec.cols / spec.rows)}px`;
+        grid.style.height = `${dim * Math.min(1, spec.rows / spec.cols)}px`;
+    
+        const maxAbs = Math.max(...Array.from(values, Math.abs));
 
-        for(let i=0; i<size*size; i++) {
+        for(let i=0; i<spec.rows*spec.cols; i++) {
             const cell = document.createElement('div');
             cell.className = 'policy-heatmap-cell';
-            
-            const prob = counts[i] / total;
-            
+        
+            const prob = values[i];
+        
             // Board state check
             if (board[i] !== 0) {
                  cell.style.backgroundColor = '#CBD5E1'; // Occupied (Slate-300)
-            } else if (counts[i] > 0) {
-                 // Red intensity
+            } else if (prob !== 0) {
+                 // Red (or blue for negative differences) intensity
                  // Use relative to max for better contrast
-                 const intensity = counts[i] / maxCount;
-                 cell.style.backgroundColor = `rgba(239, 68, 68, ${Math.max(0.2, intensity)})`;
-                 
+                 const intensity = Math.abs(prob) / maxAbs;
+                 const rgb = prob < 0 ? '59, 130, 246' : '239, 68, 68';
+                 cell.style.backgroundColor = `rgba(${rgb}, ${Math.max(0.2, intensity)})`;
+                 const text = `${signed && prob > 0 ? '+' : ''}${(prob * 100).toFixed(0)}`;
+             
                  // Tooltip or Text
-                 if (size === 3 && prob > 0.01) {
-                     cell.innerHTML = `<span class="text-xs text-white font-bold">${(prob*100).toFixed(0)}</span>`;
+                 if (spec.rows * spec.cols <= 9 && Math.abs(prob) > 0.01) { // Small boards only
+                     cell.innerHTML = `<span class="text-xs text-white font-bold">${text}</span>`;
                      cell.style.display = 'flex';
                      cell.style.alignItems = 'center';
                      cell.style.justifyContent = 'center';
                  }
-                 cell.title = `Prob: ${(prob*100).toFixed(1)}%`;
+                 cell.title = `${signed ? 'Visits - prior' : 'Prob'}: ${signed && prob > 0 ? '+' : ''}${(prob * 100).toFixed(1)}%`;
             } else {
                  cell.style.backgroundColor = '#F1F5F9'; // Empty (Slate-100)
             }
             grid.appendChild(cell);
         }
         container.appendChild(grid);
+    },
+};
+
+// ==========================================
+// Analysis Panel (胜率 + 策略可视化)
+// ==========================================
+
+let analysisView = { analysis: null, origin: null }; // What the panel currently shows
+let policyMode = 'visits';        // 'visits' (MCTS) | 'prior' (raw policy head) | 'diff' (visits - prior)
+let winRatePerspective = 'human'; // 'human' | 'black' | 'white'
+
+// Keep a search result on the move-tree node it was run from, and show it
+function recordAnalysis(node, result) {
+    node.analysis = {
+        winRate: result.winRate,
+        actionCounts: result.actionCounts,
+        priors: result.priors || null,
+        rawWinRate: result.rawWinRate ?? null,
+        stats: result.stats || null,
+        proven: result.proven || null,
+    };
+    node.evaluation = { winRate: result.winRate, rawWinRate: node.analysis.rawWinRate };
+    updateAnalysis(node.analysis, node);
+    renderTimeline();
+}
+
+// Colour the win rate is shown for. "You" means Black outside play mode (you play both sides).
+function perspectiveSide() {
+    if (winRatePerspective === 'black') return 1;
+    if (winRatePerspective === 'white') return -1;
+    return gameMode === 'play' ? (playerSide === 'first' ? 1 : -1) : 1;
+}
+
+function updatePerspective() {
+    winRatePerspective = document.getElementById('perspective-select').value;
+    updateAnalysis(analysisView.analysis, analysisView.origin);
+    renderTimeline();
+}
+
+// A proof (engine/mcts.js) for the side it belongs to: "Win in N" / "Loss in N" / "Draw",
+// N counting the winner's moves
+function provenText({ result, plies }) {
+    return result === 0 ? 'Draw' : `${result > 0 ? 'Win' : 'Loss'} in ${Math.ceil(plies / 2)}`;
+}
+
+function setPolicyMode(mode) {
+    policyMode = mode;
+    updateAnalysis(analysisView.analysis, analysisView.origin);
+}
+
+// `analysis`: a search stored by recordAnalysis (null = nothing yet); `origin`: the move-tree node it searched
+function updateAnalysis(analysis = null, origin = null) {
+    if (!origin) analysis = null;
+    analysisView = { analysis, origin };
+
+    // Search / evaluator win rates are for the side to move at `origin`
+    const side = perspectiveSide();
+    const forSide = (p) => (origin && origin.toPlay !== side ? 1 - p : p);
+    const winRate = analysis ? forSide(analysis.winRate) : 0.5;
+
+    // WinRate Bar (a proven outcome replaces the percentage)
+    const pct = (winRate * 100).toFixed(1);
+    const proven = analysis && analysis.proven;
+    uiWinRateText.innerText = proven
+        ? provenText({ ...proven, result: origin.toPlay === side ? proven.result : -proven.result })
+        : `${pct}%`;
+    uiWinRateBar.style.width = `${pct}%`;
+    uiWinRateBar.className = `h-2.5 rounded-full transition-all duration-500 ${winRate > 0.5 ? 'bg-green-500' : 'bg-red-400'}`;
+    const raw = analysis && analysis.rawWinRate !== null ? forSide(analysis.rawWinRate) : null;
+    document.getElementById('raw-winrate').innerText = raw === null ? '—' : `${(raw * 100).toFixed(1)}%`;
+    const human = document.querySelector('#perspective-select option[value="human"]');
+    human.innerText = gameMode === 'play' ? `You (${side === 1 ? 'Black' : 'White'})` : 'You (Black)';
+
+    renderRootStats(analysis ? analysis.stats : null, origin);
+
+    // Policy Visualization
+    document.querySelectorAll('#policy-mode button').forEach(b => b.classList.toggle('active', b.dataset.mode === policyMode));
+    const container = document.getElementById('policy-container');
+    container.innerHTML = '';
+    
+    if (!analysis) {
+        container.innerHTML = '<p class="text-gray-400 text-xs">Waiting for analysis...</p>';
+        return;
+    }
+
+    const counts = analysis.actionCounts;
+    const total = counts.reduce((a, b) => a + b, 0);
+    if (total === 0 && policyMode !== 'prior') {
+        // The exact solver settled the position before the first simulation
+        if (analysis.proven) container.innerHTML = '<p class="text-gray-400 text-xs">Solved exactly, no simulations needed (see Prior)</p>';
+        return;
     }
+    const visits = Array.from(counts, n => n / total);
+    const priors = analysis.priors;
+    if (policyMode !== 'visits' && !priors) {
+        container.innerHTML = '<p class="text-gray-400 text-xs">No prior recorded for this search</p>';
+        return;
+    }
+    const values = policyMode === 'visits' ? visits
+        : policyMode === 'prior' ? Array.from(priors)
+        : visits.map((v, a) => v - priors[a]);
+
+    const board = gameEngine._getBoard(origin.state, gameEngine.historyStep - 1);
+    POLICY_VIEWS[gameSpec.policyView](container, values, gameSpec, board, policyMode === 'diff');
+}
+
+// ==========================================
+// Candidate Moves (根节点统计 + 主要变化预览)
+// ==========================================
+
+let rootStatsSort = { key: 'visits', desc: true };
+let pvPreviewAction = null; // Candidate whose line is previewed on the board (row under the mouse)
+
+function sortRootStats(key) {
+    if (rootStatsSort.key === key) rootStatsSort.desc = !rootStatsSort.desc;
+    else rootStatsSort = { key, desc: key !== 'move' };
+    updateAnalysis(analysisView.analysis, analysisView.origin);
+}
+
+function renderRootStats(stats, origin) {
+    const body = document.getElementById('root-stats-body');
+    body.innerHTML = '';
+    document.querySelectorAll('.root-stats th[data-sort]').forEach(th => {
+        th.classList.toggle('sorted', th.dataset.sort === rootStatsSort.key);
+        th.classList.toggle('asc', !rootStatsSort.desc);
+    });
+
+    if (!stats || !origin || stats.length === 0) {
+        body.innerHTML = '<tr><td colspan="6" class="text-gray-400">—</td></tr>';
+        if (pvPreviewAction !== null) clearPvPreview();
+        return;
+    }
+
+    // Take the top rows by visits, then order them by the chosen column
+    const { key, desc } = rootStatsSort;
+    const value = (s) => key === 'move' ? s.action : s[key];
+    const rows = stats.slice(0, ANALYSIS_CONFIG.candidateRows)
+        .sort((a, b) => (desc ? value(b) - value(a) : value(a) - value(b)));
+
+    for (const s of rows) {
+        const tr = document.createElement('tr');
+        const cells = [
+            gameEngine.moveLabel(s.action),
+            s.visits.toLocaleString(),
+            s.proven ? provenText(s.proven) : `${s.q >= 0 ? '+' : ''}${s.q.toFixed(3)}`,
+            `${(s.prior * 100).toFixed(1)}%`,
+            s.u.toFixed(3),
+            s.pv.map(a => gameEngine.moveLabel(a)).join(' '),
+        ];
+        for (const text of cells) {
+            const td = document.createElement('td');
+            td.innerText = text;
+            tr.appendChild(td);
+        }
+        tr.lastChild.title = cells[5];
+        tr.onmouseenter = () => {
+            pvPreviewAction = s.action;
+            body.querySelectorAll('tr.previewing').forEach(r => r.classList.remove('previewing'));
+            tr.classList.add('previewing');
+            previewPv(origin, s.pv);
+        };
+        tr.onmouseleave = () => clearPvPreview();
+        body.appendChild(tr);
+
+        // Refreshed while the mouse rests on a row: follow that candidate's new line
+        if (s.action === pvPreviewAction) {
+            tr.classList.add('previewing');
+            previewPv(origin, s.pv);
+        }
+    }
+    if (pvPreviewAction !== null && !rows.some(s => s.action === pvPreviewAction)) clearPvPreview();
+}
+
+// Draw the position after playing `pv` from `origin`, numbering the moves of the line
+function previewPv(origin, pv) {
+    if (editor) return;
+    let state = origin.state, toPlay = origin.toPlay;
+    const renderer = BOARD_RENDERERS[gameSpec.renderer];
+    const planeOf = (s) => gameEngine._getBoard(s, gameEngine.historyStep - 1);
+    const numbered = []; // [cell, move number]
+    for (const action of pv) {
+        if (gameEngine.checkWin(state) !== null || !gameEngine.getValidMoves(state).includes(action)) break;
+        const before = state;
+        state = gameEngine.getNextState(state, action, toPlay);
+        toPlay = -toPlay;
+        numbered.push([placedCell(before, state), numbered.length + 1]);
+    }
+
+    renderer.draw(uiBoard, planeOf(state), gameSpec, new Map());
+    const cells = renderer.cells(uiBoard);
+    for (const [cell, number] of numbered) {
+        const badge = document.createElement('span');
+        badge.className = 'pv-number';
+        badge.innerText = number;
+        cells[cell].classList.add('pv-move');
+        cells[cell].appendChild(badge);
+    }
+}
+
+function clearPvPreview() {
+    pvPreviewAction = null;
+    document.querySelectorAll('#root-stats-body tr.previewing').forEach(r => r.classList.remove('previewing'));
+    drawBoard();
 }
@@ -0,0 +1,133 @@
+// ==========================================
+// SkyZero Service Worker
+// 离线支持: 首次访问时预缓存页面、引擎模块、ONNX Runtime、Tailwind 和字体;
+// 模型的地址由页面注册后发来 ({ type: 'precache', urls }), 见 script.js.
+//
+//   app files (same origin)           network first, cache as fallback: a deploy shows up
+//                                     on the next online visit
+//   versioned (?v=) and CDN files     cache first: they never change under the same URL
+//
+// Bump CACHE_NAME when the precache lists change; old caches are dropped on activation.
+// ==========================================
+
+const CACHE_NAME = 'skyzero-v3';
+const ORT_CDN = "https://cdn.jsdelivr.net/npm/onnxruntime-web@1.18.0/dist/";
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'worker.js',
+    'manifest.webmanifest',
+    'icon.svg',
+    'engine/index.js',
+    'engine/games.js',
+    'engine/registry.js',
+    'engine/mcts.js',
+    'engine/onnx.js',
+    'engine/evaluators.js',
+    'engine/cache.js',
+    'engine/solver.js',
+    'engine/puzzles.js',
+];
+
+// Fetched by the worker with CORS. worker.js pins ORT to one thread, so it loads one of these two
+// builds (with or without SIMD support), never a threaded one
+const RUNTIME_FILES = [
+    `${ORT_CDN}esm/ort.min.js`,
+    `${ORT_CDN}ort-wasm-simd.wasm`,
+    `${ORT_CDN}ort-wasm.wasm`,
+];
+
+const FONT_CSS = 'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;600&display=swap';
+
+// Loaded by plain <script> / <link> tags. Fetched with CORS where the host allows it, so an
+// error page is never kept; the font files the stylesheet names are precached after it.
+const PAGE_ASSETS = [
+    'https://cdn.tailwindcss.com',
+    FONT_CSS,
+];
+
+const cacheable = (response) => response && (response.ok || response.type === 'opaque');
+
+async function precache(urls, { allowOpaque = false } = {}) {
+    const cache = await caches.open(CACHE_NAME);
+    // One unreachable CDN file must not fail the whole install
+    await Promise.allSettled(urls.map(async (url) => {
+        if (await cache.match(url)) return;
+        const response = await fetch(new Request(url, { mode: 'cors' })).catch((err) => {
+            if (!allowOpaque) throw err;
+            return fetch(new Request(url, { mode: 'no-cors' })); // No CORS headers: an opaque copy
+        });
+        if (cacheable(response)) await cache.put(url, response);
+    }));
+}
+
+// The woff2 files of the font stylesheet (they differ per browser, so they come from its copy)
+async function precacheFonts() {
+    const response = await caches.match(FONT_CSS);
+    if (!response || response.type === 'opaque') return;
+    const css = await response.text();
+    await precache([...css.matchAll(/url\((https:[^)]+)\)/g)].map(m => m[1]));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        await precache(RUNTIME_FILES);
+        await precache(PAGE_ASSETS, { allowOpaque: true });
+        await precacheFonts();
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        for (const key of await caches.keys()) {
+            if (key !== CACHE_NAME) await caches.delete(key);
+        }
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'precache') event.waitUntil(precache(event.data.urls));
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (cacheable(response)) {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await caches.match(request) || (request.mode === 'navigate' && await caches.match('index.html'));
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+
+    const versioned = url.origin !== self.location.origin || url.searchParams.has('v');
+    event.respondWith(versioned ? cacheFirst(request) : networkFirst(request));
+});
@@ -0,0 +1,340 @@
+// ==========================================
+// SkyZero AI Worker
+// 模型加载与 MCTS 搜索都在这里执行, 主线程只负责 UI.
+//
+// Protocol (every request carries an `id`, every reply echoes it):
+//   -> { id, type: 'load',   gameType, modelUrl, options, evaluator, cache }
+//                                                  gameType: an id from engine/registry.js,
+//                                                  options: rules, e.g. { rule: 'renju' },
+//                                                  evaluator: 'network' | 'heuristic' | 'rollout',
+//                                                  cache: { size, openingPlies, persistOpenings }
+//   <- { id, type: 'loaded', evaluator, degraded, modelError }
+//        degraded: the model (or ONNX Runtime) could not be loaded; `evaluator` is then a
+//        model-free one (engine/evaluators.js) and modelError says why
+//   -> { id, type: 'evaluator', name }              switch evaluator; drops the tree
+//   <- { id, type: 'loaded', evaluator, degraded, modelError }
+//   -> { id, type: 'search', state, toPlay, config }
+//   <- { id, type: 'progress', simulations, winRate, actionCounts, priors, rawWinRate, stats, proven }   (repeated)
+//   <- { id, type: 'result', actionCounts, totalCounts, winRate, priors, rawWinRate, stats, proven, cacheHits, cacheLookups }
+//        priors / rawWinRate: the evaluator's own policy (softmaxed, before root noise) and value
+//        for the root; stats: per-move root statistics with principal variations (MCTS.rootStats);
+//        proven: { result, plies, action } once the root's outcome is certain (MCTS-solver /
+//        exact solver, see engine/mcts.js), else null; the search then ends early;
+//        cacheHits / cacheLookups: evaluation cache use during this search
+//   <- { id, type: 'error', message }                   (any request)
+//   -> { type: 'advance', action }   move the kept search tree down one ply (no reply)
+//   -> { type: 'reset' }             drop the kept search tree (no reply)
+//                                    both wait for the searches sent before them, like 'search'
+//   -> { type: 'rules', options }    switch the rule set of the loaded game; drops the tree (no reply)
+//                                    'evaluator' and 'rules' also wait for the searches sent before them
+//   -> { type: 'stop', searchId }    end that search early (or skip it if still queued);
+//                                    it still replies with its 'result' ({ cancelled: true } if skipped)
+//
+// The MCTS tree survives between searches; loading a model starts a fresh one.
+// Evaluations go through an LRU cache keyed by position hash (engine/cache.js). Network
+// evaluations of opening positions are also kept in IndexedDB and preloaded with the model.
+// Downloaded models are kept in IndexedDB too (per game, with the registry's modelVersion),
+// so switching tabs or visiting offline needs no download.
+// Searches run one at a time: a new 'search' waits until the previous one has returned.
+// Runs as a module worker (new Worker('worker.js', { type: 'module' })).
+// ==========================================
+
+import { getGameSpec, createGame, MCTS, createOnnxEvaluator, checkModelShape, MODEL_FREE_EVALUATORS, createCachedEvaluator, createExactSolver } from './engine/index.js';
+
+const ORT_CDN = "https://cdn.jsdelivr.net/npm/onnxruntime-web@1.18.0/dist/";
+const OPENING_DB = 'skyzero-openings';
+const MODEL_DB = 'skyzero-models';
+
+let ort = null;
+let game = null;
+let gameId = null;
+let session = null;
+let modelId = null; // Content hash of the loaded model, so a new model never reads stale openings
+let modelError = null;
+let cacheConfig = { size: 50000, openingPlies: 0, persistOpenings: false };
+let openings = null; // Preloaded opening evaluations: key -> { policy, value }
+let evaluatorName = 'network';
+let mcts = null;
+let searchQueue = Promise.resolve();
+let runningSearchId = null;
+let runningMcts = null; // The tree being searched (mcts may be replaced meanwhile)
+const queuedSearches = new Set(); // Ids waiting for their turn
+const cancelledSearches = new Set(); // ... of those, the ones stopped before they got it
+
+// Imported on first use so that an unreachable CDN only costs the network evaluator
+async function loadOrt() {
+    if (!ort) {
+        ort = await import(`${ORT_CDN}esm/ort.min.js`);
+        // Configure ONNX Runtime WASM paths to ensure version match
+        ort.env.wasm.wasmPaths = ORT_CDN;
+        // Single-threaded builds only (ort-wasm-simd.wasm, or ort-wasm.wasm without SIMD): those are
+        // what sw.js precaches, so the first offline visit finds them
+        ort.env.wasm.numThreads = 1;
+    }
+    return ort;
+}
+
+// ==========================================
+// IndexedDB (best effort)
+// ==========================================
+
+// Resolves to null without IndexedDB (or with it blocked): callers then simply skip storage
+function openDb(name, store) {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    return new Promise((resolve) => {
+        const request = indexedDB.open(name, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(store, { keyPath: 'key' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+    });
+}
+
+function dbRequest(db, store, mode, run) {
+    return new Promise((resolve) => {
+        const request = run(db.transaction(store, mode).objectStore(store));
+        request.onsuccess = () => { resolve(request.result); db.close(); };
+        request.onerror = () => { resolve(undefined); db.close(); };
+    });
+}
+
+// ==========================================
+// Model loading
+// ==========================================
+
+// { buffer, stored }: the copy in IndexedDB if it has `version`, else a download
+async function fetchModel(gameType, version, modelUrl) {
+    const stored = await openDb(MODEL_DB, 'models').then(db => db && dbRequest(db, 'models', 'readonly', s => s.get(gameType)));
+    if (stored && stored.version === version) {
+        console.log(`Loading ${modelUrl} from IndexedDB (version ${version})`);
+        return { buffer: stored.bytes, stored: true };
+    }
+
+    // Explicitly fetch first to check status and provide better diagnostics
+    const response = await fetch(modelUrl);
+    if (!response.ok) {
+        throw new Error(`Fetch failed: ${response.status} ${response.statusText} for ${modelUrl}`);
+    }
+
+    const contentType = response.headers.get('content-type');
+    console.log(`Loading ${modelUrl} (Size: ${response.headers.get('content-length')} bytes, Type: ${contentType})`);
+
+    const buffer = await response.arrayBuffer();
+    if (buffer.byteLength < 1000) {
+        console.warn("Warning: Model file is remarkably small. This might be a Git LFS pointer or an HTML error page.");
+    }
+    return { buffer, stored: false };
+}
+
+async function storeModel(gameType, version, bytes) {
+    const db = await openDb(MODEL_DB, 'models');
+    if (db) await dbRequest(db, 'models', 'readwrite', s => s.put({ key: gameType, version, bytes }));
+}
+
+async function loadSession(spec, modelUrl) {
+    await loadOrt();
+
+    const { buffer, stored } = await fetchModel(spec.id, spec.modelVersion, modelUrl);
+    // A model trained for a different board / history depth would otherwise fail deep inside session.run
+    checkModelShape(new Uint8Array(buffer), spec);
+    modelId = fnv1a(new Uint8Array(buffer));
+
+    const loaded = await ort.InferenceSession.create(buffer, { executionProviders: ['wasm'] });
+    console.log("Model loaded successfully:", modelUrl);
+    // Only a model that loads is kept, replacing any other version
+    if (!stored) await storeModel(spec.id, spec.modelVersion, buffer);
+    return loaded;
+}
+
+function fnv1a(bytes) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) h = Math.imul(h ^ bytes[i], 0x01000193);
+    return (h >>> 0).toString(16);
+}
+
+// ==========================================
+// Opening cache (IndexedDB)
+// ==========================================
+
+// Records are { key: '<game>@<model hash>|<cache key>', policy, value }. Without IndexedDB
+// the LRU cache alone is used.
+const openingPrefix = () => `${gameId}@${modelId}|`;
+
+async function loadOpenings() {
+    const db = await openDb(OPENING_DB, 'evals');
+    if (!db) return new Map();
+    const prefix = openingPrefix();
+    const records = await dbRequest(db, 'evals', 'readonly', s => s.getAll(IDBKeyRange.bound(prefix, prefix + '\uffff')));
+    return new Map((records || []).map(r => [r.key.slice(prefix.length), { policy: r.policy, value: r.value }]));
+}
+
+async function saveOpening(key, output) {
+    const db = await openDb(OPENING_DB, 'evals');
+    if (db) await dbRequest(db, 'evals', 'readwrite', s => s.put({ key: openingPrefix() + key, policy: output.policy, value: output.value }));
+}
+
+// Stones on the board (the current plane), i.e. plies played when no stones are ever removed
+function stonesOf(state) {
+    const board = game._getBoard(state, game.historyStep - 1);
+    let n = 0;
+    for (let i = 0; i < board.length; i++) if (board[i] !== 0) n++;
+    return n;
+}
+
+// Fresh tree and evaluation cache with the chosen evaluator for the current game
+function useEvaluator(name) {
+    let evaluate, onMiss = null;
+    if (name === 'network') {
+        if (!session) throw new Error(`No model loaded${modelError ? `: ${modelError}` : ''}`);
+        evaluate = createOnnxEvaluator(ort, session, game);
+        if (openings) {
+            onMiss = (key, { state }, output) => {
+                if (stonesOf(state) > cacheConfig.openingPlies || openings.has(key)) return;
+                openings.set(key, output);
+                saveOpening(key, output);
+            };
+        }
+    } else {
+        const create = MODEL_FREE_EVALUATORS[name];
+        if (!create) throw new Error(`Unknown evaluator: ${name}`);
+        evaluate = create(game, getGameSpec(gameId));
+    }
+    const cached = createCachedEvaluator(game, evaluate, { size: cacheConfig.size, onMiss });
+    if (name === 'network' && openings) {
+        for (const [key, output] of openings) cached.cache.set(key, output);
+    }
+    const { solver } = getGameSpec(gameId);
+    mcts = new MCTS(game, cached, {}, solver ? createExactSolver(game, solver) : null);
+    evaluatorName = name;
+}
+
+const evaluatorStatus = () => ({ evaluator: evaluatorName, degraded: !session, modelError });
+
+// A model that cannot be loaded is not fatal: the game falls back to the heuristic evaluator
+async function loadModel(gameType, modelUrl, options, evaluator = 'network', cache = {}) {
+    const spec = getGameSpec(gameType);
+
+    // Drop the old model first so a failed load never leaves a mismatched pair behind
+    game = createGame(gameType, options);
+    gameId = gameType;
+    session = null;
+    modelId = null;
+    modelError = null;
+    openings = null;
+    mcts = null;
+    cacheConfig = { ...cacheConfig, ...cache };
+
+    try {
+        session = await loadSession(spec, modelUrl);
+    } catch (err) {
+        modelError = err.message;
+        console.warn(`Model unavailable, falling back to a model-free evaluator: ${err.message}`);
+    }
+    if (session && cacheConfig.persistOpenings && cacheConfig.openingPlies > 0) {
+        openings = await loadOpenings();
+    }
+    useEvaluator(evaluator === 'network' && !session ? 'heuristic' : evaluator);
+}
+
+// Same model, different rules (e.g. Renju forbidden points): fresh game and tree
+function setRules(options) {
+    if (!gameId) return;
+    game = createGame(gameId, options);
+    useEvaluator(evaluatorName);
+}
+
+// Tree changes ('advance', 'reset', 'evaluator', 'rules') take their turn in the search queue:
+// changing the tree under a running or queued search would leave it searching (and reporting
+// on) a position or evaluator it was not sent for
+function queueTreeChange(change) {
+    const run = searchQueue.then(change);
+    searchQueue = run.catch(() => {}); // A failed change must not block the next search
+    return run;
+}
+
+async function runSearch(id, state, toPlay, config) {
+    queuedSearches.delete(id);
+    if (cancelledSearches.delete(id)) {
+        self.postMessage({ id, type: 'result', cancelled: true });
+        return;
+    }
+    if (!mcts) throw new Error("No game loaded");
+
+    mcts.args = config;
+    runningSearchId = id;
+    const searching = runningMcts = mcts;
+    const cacheStats = searching.evaluate.stats;
+    const { hits, lookups } = cacheStats;
+    let result;
+    try {
+        result = await searching.search(state, toPlay, (simulations, summary) => {
+            self.postMessage({
+                id, type: 'progress', simulations,
+                winRate: summary.winRate, actionCounts: summary.actionCounts,
+                priors: summary.priors, rawWinRate: summary.rawWinRate, stats: searching.rootStats(),
+                proven: summary.proven
+            });
+        });
+    } finally {
+        runningSearchId = null;
+        runningMcts = null;
+    }
+
+    // The tree itself stays in the worker; only the summary crosses the thread boundary
+    self.postMessage({
+        id,
+        type: 'result',
+        actionCounts: result.actionCounts,
+        totalCounts: result.totalCounts,
+        winRate: result.winRate,
+        priors: result.priors,
+        rawWinRate: result.rawWinRate,
+        stats: searching.rootStats(result.root),
+        proven: result.proven,
+        cacheHits: cacheStats.hits - hits,
+        cacheLookups: cacheStats.lookups - lookups
+    }, [result.actionCounts.buffer, result.priors.buffer]);
+}
+
+self.onmessage = async (e) => {
+    const msg = e.data;
+    try {
+        switch (msg.type) {
+            case 'load':
+                await loadModel(msg.gameType, msg.modelUrl, msg.options, msg.evaluator, msg.cache);
+                self.postMessage({ id: msg.id, type: 'loaded', ...evaluatorStatus() });
+                break;
+            case 'evaluator':
+                await queueTreeChange(() => {
+                    if (!gameId) throw new Error("No game loaded");
+                    useEvaluator(msg.name);
+                });
+                self.postMessage({ id: msg.id, type: 'loaded', ...evaluatorStatus() });
+                break;
+            case 'search': {
+                queuedSearches.add(msg.id);
+                const run = searchQueue.then(() => runSearch(msg.id, msg.state, msg.toPlay, msg.config));
+                searchQueue = run.catch(() => {}); // A failed search must not block the next one
+                await run;
+                break;
+            }
+            case 'advance':
+                await queueTreeChange(() => mcts && mcts.advance(msg.action));
+                break;
+            case 'reset':
+                await queueTreeChange(() => mcts && mcts.resetTree());
+                break;
+            case 'rules':
+                await queueTreeChange(() => setRules(msg.options));
+                break;
+            case 'stop':
+                if (msg.searchId === runningSearchId) runningMcts.stop();
+                else if (queuedSearches.has(msg.searchId)) cancelledSearches.add(msg.searchId); // Finished ones need nothing
+                break;
+            default:
+                throw new Error(`Unknown message type: ${msg.type}`);
+        }
+    } catch (err) {
+        console.error(err);
+        self.postMessage({ id: msg.id, type: 'error', message: err.message });
+    }
+};